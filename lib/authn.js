@@ -18,6 +18,8 @@
 import * as bedrock from '@bedrock/core';
 import * as urls from './urls.js';
 import {coerce, satisfies} from 'semver';
+import {_assertNotClosing} from './shutdown.js';
+import {_getAutoEncryptionOptions} from './encryption.js';
 import {logger} from './logger.js';
 import {MDBE_AUTHZ_FAILED} from './exceptions.js';
 import mongo from 'mongodb';
@@ -26,7 +28,8 @@ const {MongoClient} = mongo;
 const {util: {BedrockError}} = bedrock;
 
 export async function openDatabase(options) {
-  const config = bedrock.config.mongodb;
+  _assertNotClosing();
+  const {config = bedrock.config.mongodb} = options;
 
   const opts = {
     connectOptions: {...config.connectOptions},
@@ -82,6 +85,16 @@ async function _connect(options) {
   }
   const {writeConcern} = options.writeOptions;
   let connectOptions = {...options.connectOptions, writeConcern};
+  if(!options.init) {
+    // command events are used to track in-flight operations
+    connectOptions.monitorCommands = true;
+    const autoEncryption = await _getAutoEncryptionOptions({
+      config: options.config ?? bedrock.config.mongodb
+    });
+    if(autoEncryption) {
+      connectOptions.autoEncryption = autoEncryption;
+    }
+  }
   // socket related options used to be an object
   // they are now just general options in connectOptions
   if('socketOptions' in options.connectOptions) {
@@ -91,7 +104,10 @@ async function _connect(options) {
     };
     delete connectOptions.socketOptions;
   }
-  const client = await MongoClient.connect(options.url, connectOptions);
+  const client = new MongoClient(options.url, connectOptions);
+  // lets event listeners be added before any connections are created
+  options.beforeConnect?.({client});
+  await client.connect();
   const db = client.db();
   const ping = await db.admin().ping();
   logger.debug('database connection succeeded: db=' + db.databaseName, {ping});
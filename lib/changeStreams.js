@@ -0,0 +1,265 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {collections, createIndexes, db, openCollections} from './index.js';
+import {isDatabaseError, isDuplicateError} from './helpers.js';
+import {_assertNotClosing} from './shutdown.js';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
+import {setTimeout} from 'node:timers/promises';
+
+const {util: {BedrockError}} = bedrock;
+
+// error codes that mean a stored resume token can no longer be used
+const MDBE_CHANGE_STREAM_FATAL = 280;
+const MDBE_CHANGE_STREAM_HISTORY_LOST = 286;
+
+// identifies this process as the owner of change stream leases
+const OWNER = randomUUID();
+
+// active watchers by ID
+const _watchers = new Map();
+
+/**
+ * Watches a collection for changes and calls `handler` for each change. The
+ * resume token of each handled change is persisted so that, after a restart
+ * or a network error, watching resumes after the last handled change. Only
+ * one process in a cluster (across all hosts) consumes the changes for a
+ * given watcher `id` at a time; other processes wait to take over if that
+ * consumer stops or its lease expires.
+ *
+ * Changes are delivered at least once: a change may be handled again if the
+ * process stops after handling it but before its resume token is persisted.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The unique ID of the watcher.
+ * @param {string} options.collection - The name of the collection to watch.
+ * @param {Array} [options.pipeline=[]] - An aggregation pipeline to filter
+ *   or transform changes.
+ * @param {Function} options.handler - An async function that receives each
+ *   change event.
+ * @param {object} [options.options={}] - Change stream options, e.g.,
+ *   `fullDocument`.
+ *
+ * @returns {Promise<object>} Resolves to the watcher, with a `stop` function
+ *   that stops watching, once watching has been set up; every change made
+ *   after that is delivered, even if the change stream is opened later (e.g.,
+ *   once the lease is claimed).
+ */
+export async function watch({
+  id, collection, pipeline = [], handler, options = {}
+} = {}) {
+  if(typeof id !== 'string') {
+    throw new TypeError('"id" must be a string.');
+  }
+  if(typeof collection !== 'string') {
+    throw new TypeError('"collection" must be a string.');
+  }
+  if(typeof handler !== 'function') {
+    throw new TypeError('"handler" must be a function.');
+  }
+  if(_watchers.has(id)) {
+    throw new BedrockError(`Watcher "${id}" is already running.`, {
+      name: 'DuplicateError',
+      details: {id}
+    });
+  }
+  _assertNotClosing();
+
+  // open the watched collection so it is available to `_consume`
+  await openCollections([collection]);
+  const leases = await _getLeaseCollection();
+  // if no resume token has been stored yet, start watching from now rather
+  // than from whenever the change stream is opened
+  const {operationTime} = await db.command({ping: 1});
+  const watcher = {
+    id, collection, pipeline, handler, options, leases,
+    startAtOperationTime: operationTime,
+    stopped: false, stream: null, renewTimer: null,
+    abortController: new AbortController()
+  };
+  watcher.stop = () => _stop(watcher);
+  watcher.done = _run(watcher);
+  _watchers.set(id, watcher);
+  return {stop: watcher.stop};
+}
+
+// called when shutting down
+export async function _stopWatchers() {
+  await Promise.all([..._watchers.values()].map(_stop));
+}
+
+async function _run(watcher) {
+  const {retryDelay, leaseDuration} = bedrock.config.mongodb.changeStreams;
+  while(!watcher.stopped) {
+    let claimed;
+    try {
+      claimed = await _claimLease(watcher);
+      if(claimed) {
+        await _consume(watcher);
+      }
+    } catch(e) {
+      if(watcher.stopped) {
+        break;
+      }
+      logger.error('change stream error', {id: watcher.id, error: e});
+      if(isDatabaseError(e) && (e.code === MDBE_CHANGE_STREAM_HISTORY_LOST ||
+        e.code === MDBE_CHANGE_STREAM_FATAL)) {
+        // the resume token is no longer in the oplog; changes since it was
+        // stored have been missed, start over from now
+        logger.error('change stream cannot be resumed; changes were missed',
+          {id: watcher.id});
+        watcher.startAtOperationTime = undefined;
+        try {
+          await watcher.leases.updateOne(
+            {'changeStream.id': watcher.id},
+            {$unset: {'changeStream.resumeToken': ''}});
+        } catch(error) {
+          // retried on the next error
+          logger.error('failed to reset change stream resume token', {
+            id: watcher.id, error
+          });
+        }
+      }
+    } finally {
+      clearInterval(watcher.renewTimer);
+    }
+    if(!watcher.stopped) {
+      // wait before retrying; when another process holds the lease, wait
+      // long enough for it to possibly expire
+      await setTimeout(claimed ? retryDelay : leaseDuration / 2, undefined, {
+        signal: watcher.abortController.signal
+      }).catch(() => {});
+    }
+  }
+}
+
+async function _consume(watcher) {
+  const {leaseDuration} = bedrock.config.mongodb.changeStreams;
+  const record = await watcher.leases.findOne({'changeStream.id': watcher.id});
+  const resumeToken = record?.changeStream.resumeToken;
+  const options = {...watcher.options};
+  if(resumeToken) {
+    options.resumeAfter = resumeToken;
+  } else if(watcher.startAtOperationTime) {
+    options.startAtOperationTime = watcher.startAtOperationTime;
+  }
+
+  logger.debug('watching collection', {
+    id: watcher.id, collection: watcher.collection, resume: !!resumeToken
+  });
+  const stream = watcher.stream = collections[watcher.collection].watch(
+    watcher.pipeline, options);
+
+  // renew the lease while idle; close the stream if it is lost
+  watcher.renewTimer = setInterval(async () => {
+    try {
+      if(!await _renewLease({watcher})) {
+        await stream.close();
+      }
+    } catch(error) {
+      logger.error('failed to renew change stream lease', {
+        id: watcher.id, error
+      });
+    }
+  }, leaseDuration / 3);
+  watcher.renewTimer.unref();
+
+  try {
+    for await (const change of stream) {
+      await watcher.handler(change);
+      if(!await _renewLease({watcher, resumeToken: change._id})) {
+        logger.info('change stream lease lost', {id: watcher.id});
+        break;
+      }
+    }
+  } finally {
+    await stream.close();
+    watcher.stream = null;
+  }
+}
+
+async function _claimLease(watcher) {
+  const {leaseDuration} = bedrock.config.mongodb.changeStreams;
+  const now = Date.now();
+  try {
+    const record = await watcher.leases.findOneAndUpdate({
+      'changeStream.id': watcher.id,
+      $or: [
+        {'changeStream.owner': OWNER},
+        {'changeStream.expires': {$lt: now}}
+      ]
+    }, {
+      $set: {
+        'changeStream.owner': OWNER,
+        'changeStream.expires': now + leaseDuration
+      },
+      $setOnInsert: {'meta.created': now}
+    }, {upsert: true, returnDocument: 'after'});
+    return !!record;
+  } catch(e) {
+    // another process holds the lease
+    if(isDuplicateError(e)) {
+      return false;
+    }
+    throw e;
+  }
+}
+
+async function _renewLease({watcher, resumeToken}) {
+  const {leaseDuration} = bedrock.config.mongodb.changeStreams;
+  const $set = {'changeStream.expires': Date.now() + leaseDuration};
+  if(resumeToken) {
+    $set['changeStream.resumeToken'] = resumeToken;
+  }
+  const result = await watcher.leases.updateOne({
+    'changeStream.id': watcher.id,
+    'changeStream.owner': OWNER
+  }, {$set}, bedrock.config.mongodb.writeOptions);
+  return result.matchedCount > 0;
+}
+
+async function _stop(watcher) {
+  if(watcher.stopped) {
+    return;
+  }
+  watcher.stopped = true;
+  watcher.abortController.abort();
+  _watchers.delete(watcher.id);
+  clearInterval(watcher.renewTimer);
+  await watcher.stream?.close();
+  await watcher.done;
+  // release the lease so another process may take over immediately
+  await watcher.leases.updateOne({
+    'changeStream.id': watcher.id,
+    'changeStream.owner': OWNER
+  }, {$set: {'changeStream.expires': 0}});
+}
+
+async function _getLeaseCollection() {
+  const {collection} = bedrock.config.mongodb.changeStreams;
+  if(!collections[collection]) {
+    await openCollections([collection]);
+    await createIndexes([{
+      collection,
+      fields: {'changeStream.id': 1},
+      options: {unique: true}
+    }]);
+  }
+  return collections[collection];
+}
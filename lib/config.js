@@ -73,6 +73,196 @@ config.mongodb.writeOptions = {
   forceServerObjectId: true,
 };
 
+// migrations registered via `registerMigration`
+config.mongodb.migrations = {
+  // the collection used to record which migrations have been applied
+  collection: 'mongodb-migration',
+  // apply pending migrations (once per cluster) on `bedrock.init`
+  runOnInit: true,
+  // how long (in ms) a node's claim on a migration it is applying lasts
+  // unless renewed; it is renewed while the migration runs and is taken over
+  // by another node if it expires (e.g., because the node stopped)
+  leaseTtl: 60000,
+  // how often (in ms) to check whether a migration being applied by another
+  // node has been applied
+  pollInterval: 1000
+};
+
+// used to retry initializing and opening the database on startup while it is
+// not yet available (network and server selection errors); other errors,
+// such as authentication errors, are not retried
+config.mongodb.startupRetry = {
+  // max number of attempts; 1 to not retry
+  maxAttempts: 1,
+  // delay (in ms) before the first retry
+  initialDelay: 1000,
+  // factor the delay is multiplied by after each retry
+  backoffFactor: 2,
+  // max delay (in ms) between retries
+  maxDelay: 30000,
+  // random variation applied to each delay as a fraction of it (0-1)
+  jitter: 0.2,
+  // max time (in ms) to spend retrying each of initializing and opening the
+  // database; `null` for no limit
+  deadline: 120000
+};
+
+// used to monitor database health (see `getHealth`)
+config.mongodb.health = {
+  // how often (in ms) to ping the database; 0 to disable periodic pings
+  interval: 10000,
+  // how long (in ms) to wait for a ping before considering it failed
+  timeout: 5000
+};
+
+// used to instrument operations (see `getMetrics`)
+config.mongodb.instrumentation = {
+  // operations that take at least this long (in ms) are logged with their
+  // sanitized filters; `null` to disable
+  slowQueryThreshold: 1000,
+  // upper bounds (in ms) of the per-collection latency histogram buckets
+  latencyBuckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000],
+  // `true` to collect connection pool stats
+  poolStats: false
+};
+
+// used to create OpenTelemetry spans for operations; requires the optional
+// `@opentelemetry/api` peer dependency and a registered tracer provider
+config.mongodb.tracing = {
+  enabled: true
+};
+
+// used when closing the database on `bedrock.stopped`
+config.mongodb.shutdown = {
+  // max time (in ms) to wait for in-flight operations before closing
+  drainTimeout: 10000
+};
+
+// used by `watch`
+config.mongodb.changeStreams = {
+  // the collection used to store change stream resume tokens and leases
+  collection: 'mongodb-change-stream',
+  // how long (in ms) a process may consume a change stream without renewing
+  // its lease before another process may take over
+  leaseDuration: 30000,
+  // how long (in ms) to wait before resuming after an error
+  retryDelay: 1000
+};
+
+// used by `acquireLock`
+config.mongodb.locks = {
+  // the collection used to store locks
+  collection: 'mongodb-lock',
+  // the collection used to store the last fencing token of each lock; its
+  // records are never removed
+  fenceCollection: 'mongodb-lock-fence',
+  // default time (in ms) a lock is held unless it is renewed
+  ttl: 30000,
+  // time (in seconds) after a lock expires that its record is removed
+  expireAfterSeconds: 86400
+};
+
+// used by `enqueue` and `startQueueWorker`
+config.mongodb.queue = {
+  // the collection used to store jobs
+  collection: 'mongodb-job',
+  // the collection jobs are moved to once they have failed `maxAttempts`
+  deadLetterCollection: 'mongodb-job-dead-letter',
+  // default max times to attempt a job
+  maxAttempts: 5,
+  // how long (in ms) a claimed job is hidden from other workers; this is
+  // extended while the job is being processed
+  visibilityTimeout: 30000,
+  // how long (in ms) a worker waits to check for jobs when none are ready
+  pollInterval: 1000,
+  // initial delay (in ms) before retrying a failed job, doubled on each retry
+  retryDelay: 1000,
+  // max delay (in ms) before retrying a failed job
+  maxRetryDelay: 3600000
+};
+
+// used by `paginate`
+config.mongodb.pagination = {
+  // default max number of records per page
+  defaultLimit: 100,
+  // max allowed number of records per page
+  maxLimit: 1000,
+  // a secret used to sign cursors so that tampering can be detected; it must
+  // be the same on every host and must be set to use `paginate` cursors
+  cursorSecret: null
+};
+
+// used by `withTransaction`
+config.mongodb.transactions = {
+  // max times to retry a transaction (or its commit) on transient errors
+  maxRetries: 5,
+  // initial delay (in ms) before retrying, doubled on each retry
+  retryDelay: 50,
+  // max delay (in ms) before retrying
+  maxRetryDelay: 1000
+};
+
+// the default encoding used by `encode`/`decode` for keys with reserved
+// characters: 'percent', 'strict', or 'fullwidth'
+config.mongodb.keyEncoding = 'percent';
+
+// client-side field level encryption (CSFLE) and Queryable Encryption; these
+// require the `mongodb-client-encryption` package and, for automatic
+// encryption, the `crypt_shared` library or `mongocryptd`
+config.mongodb.encryption = {
+  enabled: false,
+  // the database for the key vault; defaults to the configured database
+  keyVaultDatabase: null,
+  // the key vault collection that holds data keys
+  keyVaultCollection: 'mongodb-encryption-key-vault',
+  // a base64-encoded 96-byte local master key; only use this for testing
+  localMasterKey: null,
+  // a file containing a local master key (raw or base64-encoded)
+  localMasterKeyFile: null,
+  // other KMS providers, e.g., `aws`, `azure`, `gcp`, `kmip`
+  kmsProviders: {},
+  // CSFLE JSON schemas by collection name
+  schemaMap: {},
+  // Queryable Encryption encrypted fields by collection name
+  encryptedFieldsMap: {},
+  bypassAutoEncryption: false,
+  // e.g., `cryptSharedLibPath`
+  extraOptions: {}
+};
+
+// used by `hash`; `scheme` is the ID of the scheme in `schemes` used to create
+// hashes, which are prefixed with `<id>:`; `null` uses the legacy unkeyed
+// sha256/base64 scheme without a prefix; each scheme has an `algorithm`
+// (`sha256`, `sha512`, or `blake2b512`), an `encoding` (`base64`,
+// `base64url`, or `hex`), and an optional HMAC `secret`, which should be set
+// when hashing low-entropy values such as email addresses
+config.mongodb.hash = {
+  scheme: null,
+  schemes: {},
+  // `true` to include legacy unprefixed hashes in `getHashes`
+  includeLegacy: true
+};
+
+// keys used by `encryptFields`/`decryptFields` when no `keyResolver` is
+// given; `keys` maps key IDs to base64-encoded 32-byte AES keys and
+// `currentKeyId` is the ID of the key to encrypt with
+config.mongodb.fieldEncryption = {
+  currentKeyId: null,
+  keys: {}
+};
+
+// additional named connections, e.g., to an analytics database; each entry
+// is keyed by connection name and may specify its own `url` (or `name`,
+// `host`, `port`, `protocol`, `username`, and `password`),
+// `forceAuthentication`, `authentication`, `connectOptions`, `writeOptions`,
+// and `requirements`; the `connectOptions`, `writeOptions`, and
+// `requirements` of the default connection are used when not specified
+//
+// config.mongodb.connections.analytics = {
+//   url: 'mongodb://localhost:27017/bedrock_analytics'
+// };
+config.mongodb.connections = {};
+
 config.mongodb.requirements = {};
 // server version requirement with server-style string
 config.mongodb.requirements.serverVersion = '>=5';
@@ -0,0 +1,130 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// characters substituted by the `fullwidth` encoding
+const FULLWIDTH_DOLLAR = '＄';
+const FULLWIDTH_PERCENT = '％';
+const FULLWIDTH_PERIOD = '．';
+
+/**
+ * Built-in key encodings. Each encoding has an `encodeString` function that
+ * escapes characters that are reserved in MongoDB keys and a `decodeString`
+ * function that reverses it. Decoders never throw; input that was not
+ * produced by the matching encoder is left as-is where it cannot be decoded.
+ */
+export const ENCODINGS = new Map([
+  // percent-encodes '%', '$', and '.'
+  ['percent', {
+    encodeString(value) {
+      return value
+        .replace(/%/g, '%25')
+        .replace(/\$/g, '%24')
+        .replace(/\./g, '%2E');
+    },
+    decodeString: _percentDecode
+  }],
+  // percent-encodes '%', '.', and only a leading '$', as MongoDB permits '$'
+  // elsewhere in keys
+  ['strict', {
+    encodeString(value) {
+      return value
+        .replace(/%/g, '%25')
+        .replace(/^\$/, '%24')
+        .replace(/\./g, '%2E');
+    },
+    decodeString: _percentDecode
+  }],
+  // substitutes full-width Unicode equivalents for '$' and '.' (and escapes
+  // any existing full-width '$', '.', or '%' with a full-width '%')
+  ['fullwidth', {
+    encodeString(value) {
+      let rval = '';
+      for(const c of value) {
+        if(c === '$') {
+          rval += FULLWIDTH_DOLLAR;
+        } else if(c === '.') {
+          rval += FULLWIDTH_PERIOD;
+        } else if(c === FULLWIDTH_DOLLAR || c === FULLWIDTH_PERIOD ||
+          c === FULLWIDTH_PERCENT) {
+          rval += FULLWIDTH_PERCENT + c;
+        } else {
+          rval += c;
+        }
+      }
+      return rval;
+    },
+    decodeString(value) {
+      let rval = '';
+      let escaped = false;
+      for(const c of value) {
+        if(escaped) {
+          rval += c;
+          escaped = false;
+        } else if(c === FULLWIDTH_PERCENT) {
+          escaped = true;
+        } else if(c === FULLWIDTH_DOLLAR) {
+          rval += '$';
+        } else if(c === FULLWIDTH_PERIOD) {
+          rval += '.';
+        } else {
+          rval += c;
+        }
+      }
+      // preserve a dangling escape character
+      return escaped ? rval + FULLWIDTH_PERCENT : rval;
+    }
+  }]
+]);
+
+/**
+ * Gets a key encoding.
+ *
+ * @param {string|object} encoding - The name of a built-in encoding or an
+ *   object with `encodeString` and `decodeString` functions.
+ *
+ * @returns {object} The encoding.
+ */
+export function getEncoding(encoding) {
+  if(encoding && typeof encoding === 'object') {
+    if(typeof encoding.encodeString !== 'function' ||
+      typeof encoding.decodeString !== 'function') {
+      throw new TypeError(
+        '"encoding" must have "encodeString" and "decodeString" functions.');
+    }
+    return encoding;
+  }
+  const rval = ENCODINGS.get(encoding);
+  if(!rval) {
+    throw new TypeError(
+      `"encoding" must be one of: ${[...ENCODINGS.keys()].join(', ')}.`);
+  }
+  return rval;
+}
+
+function _percentDecode(value) {
+  // decode each run of percent-encoded octets; runs that are not valid UTF-8
+  // (e.g., written by older code) only have their ASCII octets decoded
+  return value.replace(/(?:%[0-9a-fA-F]{2})+/g, match => {
+    try {
+      return decodeURIComponent(match);
+    } catch(e) {
+      return match.replace(
+        /%([0-7][0-9a-fA-F])/g, (m, hex) => String.fromCharCode(
+          Number.parseInt(hex, 16)));
+    }
+  });
+}
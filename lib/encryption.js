@@ -0,0 +1,162 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {_assertNotClosing} from './shutdown.js';
+import {ClientEncryption} from 'mongodb';
+import fs from 'node:fs/promises';
+import {isDuplicateError} from './helpers.js';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// size of a local master key in bytes
+const LOCAL_MASTER_KEY_SIZE = 96;
+
+let _clientEncryption = null;
+
+/**
+ * Creates a data key in the key vault for use with client-side field level
+ * encryption or Queryable Encryption. If `keyAltNames` are given and a key
+ * with one of those names already exists, that key's ID is returned instead,
+ * so this may be safely called on every start up.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.provider='local'] - The KMS provider to use.
+ * @param {Array} [options.keyAltNames] - Alternate names for the key.
+ * @param {object} [options.masterKey] - Provider-specific master key options;
+ *   not used with the `local` provider.
+ *
+ * @returns {Promise<object>} Resolves to the ID (a UUID `Binary`) of the key.
+ */
+export async function createDataKey({
+  provider = 'local', keyAltNames, masterKey
+} = {}) {
+  _assertNotClosing();
+  if(!_clientEncryption) {
+    throw new BedrockError('Encryption is not enabled.', {
+      name: 'InvalidStateError'
+    });
+  }
+  try {
+    return await _clientEncryption.createDataKey(
+      provider, {keyAltNames, masterKey});
+  } catch(e) {
+    if(!(keyAltNames?.length > 0 && isDuplicateError(e))) {
+      throw e;
+    }
+    const key = await _clientEncryption.getKeyByAltName(keyAltNames[0]);
+    return key._id;
+  }
+}
+
+// gets the `autoEncryption` connect option for the given config, if any
+export async function _getAutoEncryptionOptions({config}) {
+  const {encryption} = config;
+  if(!encryption?.enabled) {
+    return;
+  }
+  const database = _getDatabaseName(config);
+  const options = {
+    keyVaultNamespace: _getKeyVaultNamespace({config}),
+    kmsProviders: await _getKmsProviders({encryption}),
+    bypassAutoEncryption: encryption.bypassAutoEncryption,
+    extraOptions: encryption.extraOptions
+  };
+  // maps are configured by collection name; the driver expects namespaces
+  if(Object.keys(encryption.schemaMap).length > 0) {
+    options.schemaMap = _toNamespaces({database, map: encryption.schemaMap});
+  }
+  if(Object.keys(encryption.encryptedFieldsMap).length > 0) {
+    options.encryptedFieldsMap = _toNamespaces({
+      database, map: encryption.encryptedFieldsMap
+    });
+  }
+  return options;
+}
+
+// called from `_init` once the database is open
+export async function _initEncryption({client, config}) {
+  const {encryption} = config;
+  if(!encryption?.enabled) {
+    return;
+  }
+  const keyVaultNamespace = _getKeyVaultNamespace({config});
+  const [database, ...rest] = keyVaultNamespace.split('.');
+  const collection = rest.join('.');
+
+  // ensure key alt names are unique
+  logger.debug('initializing encryption key vault', {keyVaultNamespace});
+  await client.db(database).collection(collection).createIndex(
+    {keyAltNames: 1}, {
+      unique: true,
+      partialFilterExpression: {keyAltNames: {$exists: true}}
+    });
+
+  _clientEncryption = new ClientEncryption(client, {
+    keyVaultNamespace,
+    kmsProviders: await _getKmsProviders({encryption})
+  });
+}
+
+// exported for testing
+export async function _getKmsProviders({encryption}) {
+  const kmsProviders = {...encryption.kmsProviders};
+  let key;
+  if(encryption.localMasterKeyFile) {
+    key = await fs.readFile(encryption.localMasterKeyFile);
+    if(key.length !== LOCAL_MASTER_KEY_SIZE) {
+      // not a raw key, assume base64-encoded
+      key = Buffer.from(key.toString('utf8').trim(), 'base64');
+    }
+  } else if(encryption.localMasterKey) {
+    key = Buffer.from(encryption.localMasterKey, 'base64');
+  }
+  if(key) {
+    if(key.length !== LOCAL_MASTER_KEY_SIZE) {
+      throw new BedrockError(
+        `Local master key must be ${LOCAL_MASTER_KEY_SIZE} bytes.`, {
+          name: 'DataError',
+          details: {length: key.length}
+        });
+    }
+    kmsProviders.local = {key};
+  }
+  if(Object.keys(kmsProviders).length === 0) {
+    throw new BedrockError(
+      'Encryption is enabled but no KMS provider is configured.', {
+        name: 'DataError'
+      });
+  }
+  return kmsProviders;
+}
+
+function _getKeyVaultNamespace({config}) {
+  const {keyVaultDatabase, keyVaultCollection} = config.encryption;
+  return `${keyVaultDatabase ?? _getDatabaseName(config)}.` +
+    keyVaultCollection;
+}
+
+function _getDatabaseName(config) {
+  return config.url ?
+    decodeURIComponent(new URL(config.url).pathname.slice(1)) : config.name;
+}
+
+function _toNamespaces({database, map}) {
+  return Object.fromEntries(Object.entries(map).map(
+    ([name, value]) => [`${database}.${name}`, value]));
+}
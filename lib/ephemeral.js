@@ -0,0 +1,254 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {mkdtemp, rm} from 'node:fs/promises';
+import crypto from 'node:crypto';
+import {logger} from './logger.js';
+import {MongoClient} from 'mongodb';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import {setTimeout} from 'node:timers/promises';
+import {spawn} from 'node:child_process';
+
+const {util: {BedrockError}} = bedrock;
+
+// the running ephemeral server: `{uri, stop}`
+let _server = null;
+
+/**
+ * Starts an ephemeral database server (see `config.mongodb.ephemeral`) and
+ * points the default connection and any named connections that are not
+ * configured via a `url` at it, each using a database name that is unique to
+ * this run. Called from `_init` in test mode.
+ *
+ * @private
+ *
+ * @returns {Promise} Resolves once the server is ready.
+ */
+export async function _startEphemeralServer() {
+  const config = bedrock.config.mongodb;
+  const {launcher} = config.ephemeral;
+  logger.info('starting ephemeral database server', {launcher});
+  try {
+    if(launcher === 'mongodb-memory-server') {
+      _server = await _startMemoryServer();
+    } else if(launcher === 'mongod') {
+      _server = await _startMongod();
+    } else {
+      throw new TypeError(
+        '"config.mongodb.ephemeral.launcher" must be "mongod" or ' +
+        '"mongodb-memory-server".');
+    }
+  } catch(e) {
+    throw new BedrockError('Could not start ephemeral database server.', {
+      name: 'OperationError',
+      details: {launcher},
+      cause: e
+    });
+  }
+
+  _useEphemeralServer({config, uri: _server.uri});
+  logger.info('ephemeral database server started', {
+    uri: _server.uri, database: config.name
+  });
+}
+
+// points the default connection and any named connections without a `url`
+// in `config` at the server at `uri`, each using a unique database name;
+// exported for testing
+export function _useEphemeralServer({config, uri}) {
+  const {hostname, port} = new URL(uri);
+  const suffix = crypto.randomBytes(4).toString('hex');
+  // named connections without a `name` use the default database name
+  const defaultName = config.name;
+  for(const target of [config, ...Object.values(config.connections)]) {
+    if(target !== config && target.url) {
+      continue;
+    }
+    Object.assign(target, {
+      url: undefined, protocol: 'mongodb',
+      host: hostname, port: Number.parseInt(port, 10),
+      name: `${target.name ?? defaultName}_${suffix}`,
+      username: undefined, password: undefined, forceAuthentication: false
+    });
+  }
+  // remove options that only apply to the configured server
+  const {connectOptions} = config;
+  for(const option of ['authSource', 'replicaSet', 'ssl', 'tls']) {
+    delete connectOptions[option];
+  }
+}
+
+/**
+ * Stops the ephemeral database server, if any, and removes its data.
+ *
+ * @private
+ *
+ * @returns {Promise} Resolves once the server has stopped.
+ */
+export async function _stopEphemeralServer() {
+  if(!_server) {
+    return;
+  }
+  const server = _server;
+  _server = null;
+  try {
+    await server.stop();
+    logger.info('ephemeral database server stopped');
+  } catch(error) {
+    logger.error('failed to stop ephemeral database server', {error});
+  }
+}
+
+async function _startMongod() {
+  const {binary, replicaSet, startupTimeout} = bedrock.config.mongodb.ephemeral;
+  const port = await _getFreePort();
+  const dbPath = await mkdtemp(path.join(os.tmpdir(), 'bedrock-mongodb-'));
+  const args = [
+    '--port', String(port), '--bind_ip', '127.0.0.1', '--dbpath', dbPath
+  ];
+  if(replicaSet) {
+    args.push('--replSet', 'rs0');
+  }
+  const child = spawn(binary ?? 'mongod', args, {stdio: 'ignore'});
+  let exited = false;
+  const exit = new Promise(resolve => child.once('exit', () => {
+    exited = true;
+    resolve();
+  }));
+  const spawned = new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', e => {
+      // the process could not be spawned, so it will not emit `exit`
+      exited = true;
+      reject(e);
+    });
+  });
+
+  // kill the server if the process exits without stopping it
+  const kill = () => child.kill('SIGKILL');
+  process.once('exit', kill);
+
+  const stop = async () => {
+    process.removeListener('exit', kill);
+    if(!exited) {
+      child.kill('SIGTERM');
+      await Promise.race([exit, setTimeout(startupTimeout)]);
+      if(!exited) {
+        child.kill('SIGKILL');
+        await exit;
+      }
+    }
+    await rm(dbPath, {recursive: true, force: true});
+  };
+
+  const uri = `mongodb://127.0.0.1:${port}`;
+  try {
+    await spawned;
+    await _waitForServer({uri, startupTimeout, isExited: () => exited});
+    if(replicaSet) {
+      await _initiateReplicaSet({uri, port, startupTimeout});
+    }
+  } catch(e) {
+    await stop();
+    throw e;
+  }
+  return {uri, stop};
+}
+
+async function _startMemoryServer() {
+  const {binary, replicaSet} = bedrock.config.mongodb.ephemeral;
+  let MongoMemoryServer;
+  let MongoMemoryReplSet;
+  try {
+    ({MongoMemoryServer, MongoMemoryReplSet} = await import(
+      'mongodb-memory-server-core'));
+  } catch(e) {
+    if(e.code !== 'ERR_MODULE_NOT_FOUND') {
+      throw e;
+    }
+    ({MongoMemoryServer, MongoMemoryReplSet} = await import(
+      'mongodb-memory-server'));
+  }
+  // use the given (pre-downloaded) binary instead of downloading one
+  const options = binary ? {binary: {systemBinary: binary}} : {};
+  const server = replicaSet ?
+    await MongoMemoryReplSet.create({...options, replSet: {count: 1}}) :
+    await MongoMemoryServer.create(options);
+  return {
+    uri: server.getUri(),
+    stop: () => server.stop({doCleanup: true, force: true})
+  };
+}
+
+async function _getFreePort() {
+  const server = net.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const {port} = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+async function _waitForServer({uri, startupTimeout, isExited}) {
+  const deadline = Date.now() + startupTimeout;
+  while(true) {
+    if(isExited()) {
+      throw new Error('Database server exited during startup.');
+    }
+    const client = new MongoClient(uri, {
+      directConnection: true, serverSelectionTimeoutMS: 500
+    });
+    try {
+      await client.db('admin').command({ping: 1});
+      return;
+    } catch(e) {
+      if(Date.now() >= deadline) {
+        throw e;
+      }
+    } finally {
+      await client.close();
+    }
+    await setTimeout(100);
+  }
+}
+
+async function _initiateReplicaSet({uri, port, startupTimeout}) {
+  const client = new MongoClient(uri, {directConnection: true});
+  try {
+    const admin = client.db('admin');
+    await admin.command({
+      replSetInitiate: {
+        _id: 'rs0', members: [{_id: 0, host: `127.0.0.1:${port}`}]
+      }
+    });
+    // wait for the member to become primary
+    const deadline = Date.now() + startupTimeout;
+    while(!(await admin.command({hello: 1})).isWritablePrimary) {
+      if(Date.now() >= deadline) {
+        throw new Error('Timed out waiting for replica set primary.');
+      }
+      await setTimeout(100);
+    }
+  } finally {
+    await client.close();
+  }
+}
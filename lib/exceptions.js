@@ -19,22 +19,55 @@
 export const BULK_WRITE_ERROR = 'BulkWriteError';
 export const MDBE_ERROR = 'MongoError';
 export const MONGO_BULK_WRITE_ERROR = 'MongoBulkWriteError';
+export const MONGO_NETWORK_ERROR = 'MongoNetworkError';
+export const MONGO_NETWORK_TIMEOUT_ERROR = 'MongoNetworkTimeoutError';
 export const MONGO_SERVER_ERROR = 'MongoServerError';
+export const MONGO_SERVER_SELECTION_ERROR = 'MongoServerSelectionError';
+export const MONGO_WRITE_CONCERN_ERROR = 'MongoWriteConcernError';
 export const WRITE_ERROR = 'WriteError';
 export const WRITE_CONCERN_ERROR = 'WriteConcernError';
 
 // error codes
 export const MDBE_AUTHN_FAILED = 18;
 export const MDBE_AUTHZ_FAILED = 13;
+export const MDBE_DOCUMENT_VALIDATION_FAILURE = 121;
 export const MDBE_DUPLICATE = 11000;
 export const MDBE_DUPLICATE_ON_UPDATE = 11001;
+export const MDBE_EXCEEDED_TIME_LIMIT = 50;
+export const MDBE_INTERRUPTED_DUE_TO_REPL_STATE_CHANGE = 11602;
+export const MDBE_NAMESPACE_EXISTS = 48;
+export const MDBE_NOT_PRIMARY_NO_SECONDARY_OK = 13435;
+export const MDBE_NOT_PRIMARY_OR_SECONDARY = 13436;
+export const MDBE_NOT_WRITABLE_PRIMARY = 10107;
+export const MDBE_PRIMARY_STEPPED_DOWN = 189;
 export const MDBE_USER_NOT_FOUND = 11;
+export const MDBE_WRITE_CONCERN_FAILED = 64;
+
+// codes of errors raised because the server is not (or is no longer) primary
+export const MDBE_NOT_PRIMARY_ERRORS = [
+  MDBE_INTERRUPTED_DUE_TO_REPL_STATE_CHANGE,
+  MDBE_NOT_PRIMARY_NO_SECONDARY_OK,
+  MDBE_NOT_PRIMARY_OR_SECONDARY,
+  MDBE_NOT_WRITABLE_PRIMARY,
+  MDBE_PRIMARY_STEPPED_DOWN
+];
+
+export const MDBE_NOT_PRIMARY_ERROR_SET = new Set(MDBE_NOT_PRIMARY_ERRORS);
+
+// error labels
+export const TRANSIENT_TRANSACTION_ERROR = 'TransientTransactionError';
+export const UNKNOWN_TRANSACTION_COMMIT_RESULT =
+  'UnknownTransactionCommitResult';
 
 export const MDBE_ERRORS = [
   BULK_WRITE_ERROR,
   MDBE_ERROR,
   MONGO_BULK_WRITE_ERROR,
+  MONGO_NETWORK_ERROR,
+  MONGO_NETWORK_TIMEOUT_ERROR,
   MONGO_SERVER_ERROR,
+  MONGO_SERVER_SELECTION_ERROR,
+  MONGO_WRITE_CONCERN_ERROR,
   WRITE_ERROR,
   WRITE_CONCERN_ERROR
 ];
@@ -0,0 +1,156 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {_isTestMode, getCollections, openCollections} from './index.js';
+import {_assertNotClosing} from './shutdown.js';
+import {BSON} from 'mongodb';
+import {encode} from './helpers.js';
+import {readFile} from 'node:fs/promises';
+
+const {util: {BedrockError}} = bedrock;
+const {EJSON} = BSON;
+
+/**
+ * Loads fixtures into collections. Each fixture is either the path to a JSON
+ * or Extended JSON (EJSON) file or an object; either way it maps collection
+ * names to arrays of documents. The keys of each document are encoded via
+ * `encode` before it is inserted. Collections are opened as needed. May only
+ * be used in test mode.
+ *
+ * @param {Array} fixtures - The fixture file paths and/or objects.
+ * @param {object} [options={}] - The options to use.
+ * @param {boolean} [options.replace=true] - `true` to remove any existing
+ *   documents from each collection before loading its fixtures.
+ * @param {string} [options.connection] - The name of the connection to use;
+ *   the default connection is used if not given.
+ *
+ * @returns {Promise<object>} Resolves to the number of documents inserted
+ *   into each collection, by collection name.
+ */
+export async function loadFixtures(fixtures, {
+  replace = true, connection
+} = {}) {
+  _assertTestMode();
+  _assertNotClosing();
+
+  // gather documents by collection
+  const docsByCollection = new Map();
+  for(const fixture of fixtures) {
+    const data = typeof fixture === 'string' ?
+      await _readFixtureFile(fixture) : EJSON.deserialize(fixture);
+    for(const [name, docs] of Object.entries(data)) {
+      if(!Array.isArray(docs)) {
+        throw new BedrockError(
+          `Fixture for collection "${name}" must be an array of documents.`, {
+            name: 'DataError',
+            details: {collection: name}
+          });
+      }
+      if(!docsByCollection.has(name)) {
+        docsByCollection.set(name, []);
+      }
+      docsByCollection.get(name).push(...docs.map(doc => encode(doc)));
+    }
+  }
+
+  return _replaceDocuments({docsByCollection, replace, connection});
+}
+
+/**
+ * Takes a snapshot of the current contents of the given collections that
+ * may later be restored via `restoreSnapshot`, e.g., between tests. May only
+ * be used in test mode.
+ *
+ * @param {Array<string>} names - The names of the collections.
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.connection] - The name of the connection to use;
+ *   the default connection is used if not given.
+ *
+ * @returns {Promise<object>} Resolves to the snapshot.
+ */
+export async function snapshotCollections(names, {connection} = {}) {
+  _assertTestMode();
+  _assertNotClosing();
+  await openCollections(names, {connection});
+  const collections = getCollections(connection);
+  const snapshot = {connection, collections: {}};
+  for(const name of names) {
+    snapshot.collections[name] = await collections[name].find().toArray();
+  }
+  return snapshot;
+}
+
+/**
+ * Restores collections to a snapshot taken via `snapshotCollections`: the
+ * documents in each collection in the snapshot are replaced with those that
+ * were in it when the snapshot was taken. May only be used in test mode.
+ *
+ * @param {object} snapshot - The snapshot.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function restoreSnapshot(snapshot) {
+  _assertTestMode();
+  _assertNotClosing();
+  await _replaceDocuments({
+    docsByCollection: new Map(Object.entries(snapshot.collections)),
+    replace: true,
+    connection: snapshot.connection
+  });
+}
+
+function _assertTestMode() {
+  if(!_isTestMode()) {
+    throw new BedrockError('Fixtures may only be used in test mode.', {
+      name: 'NotAllowedError'
+    });
+  }
+}
+
+async function _readFixtureFile(file) {
+  try {
+    // plain JSON is valid EJSON
+    return EJSON.parse(await readFile(file, 'utf8'), {relaxed: false});
+  } catch(e) {
+    throw new BedrockError(`Could not load fixture file "${file}".`, {
+      name: 'DataError',
+      details: {file},
+      cause: e
+    });
+  }
+}
+
+async function _replaceDocuments({docsByCollection, replace, connection}) {
+  const names = [...docsByCollection.keys()];
+  await openCollections(names, {connection});
+  const collections = getCollections(connection);
+  const {writeOptions} = bedrock.config.mongodb;
+  const counts = {};
+  for(const [name, docs] of docsByCollection) {
+    const collection = collections[name];
+    if(replace) {
+      await collection.deleteMany({}, writeOptions);
+    }
+    if(docs.length > 0) {
+      // insert copies so the given documents are not modified
+      await collection.insertMany(docs.map(doc => ({...doc})), writeOptions);
+    }
+    counts[name] = docs.length;
+  }
+  return counts;
+}
@@ -0,0 +1,147 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {logger} from './logger.js';
+
+// current health state
+const _health = {
+  status: 'unknown',
+  latency: null,
+  lastPing: null,
+  lastError: null,
+  topology: null
+};
+
+let _client = null;
+let _timer = null;
+
+/**
+ * Gets the health of the database connection. By default this returns the
+ * state recorded by the most recent periodic ping; pass `ping: true` to ping
+ * the database first.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {boolean} [options.ping=false] - `true` to ping the database before
+ *   returning its health.
+ *
+ * @returns {Promise<object>} Resolves to an object with `healthy`, `status`
+ *   (`unknown`, `healthy`, or `unhealthy`), the `latency` (in ms) and time
+ *   of the `lastPing`, the `lastError` (if any), and the `topology` (its
+ *   `type`, `primary`, and `secondaries`).
+ */
+export async function getHealth({ping = false} = {}) {
+  if(ping) {
+    await _ping();
+  }
+  return {
+    healthy: _health.status === 'healthy',
+    ...structuredClone(_health)
+  };
+}
+
+// called from `_init` once the database is open
+export async function _startHealthMonitor({client}) {
+  _client = client;
+  _client.on('topologyDescriptionChanged', ({newDescription}) => {
+    _health.topology = _summarizeTopology(newDescription);
+  });
+  if(_client.topology?.description) {
+    _health.topology = _summarizeTopology(_client.topology.description);
+  }
+  await _ping();
+  _scheduleNextPing();
+}
+
+// called when shutting down
+export function _stopHealthMonitor() {
+  clearTimeout(_timer);
+  _timer = null;
+}
+
+function _scheduleNextPing() {
+  const {interval} = bedrock.config.mongodb.health;
+  if(!interval) {
+    return;
+  }
+  _timer = setTimeout(async () => {
+    await _ping();
+    if(_timer) {
+      _scheduleNextPing();
+    }
+  }, interval);
+  // do not keep the process running just to monitor health
+  _timer.unref();
+}
+
+async function _ping() {
+  const {timeout} = bedrock.config.mongodb.health;
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      _client.db().admin().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Ping timed out after ${timeout} ms.`)),
+          timeout);
+      })
+    ]);
+    _health.latency = Date.now() - start;
+    _health.lastPing = start;
+    await _setStatus('healthy');
+  } catch(e) {
+    _health.lastError = {name: e.name, message: e.message, time: start};
+    await _setStatus('unhealthy', {error: e});
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function _setStatus(status, {error} = {}) {
+  const previous = _health.status;
+  _health.status = status;
+  if(status === previous) {
+    return;
+  }
+  try {
+    if(status === 'unhealthy') {
+      logger.error('database is unhealthy', {error});
+      await bedrock.events.emit('bedrock-mongodb.unhealthy', {error});
+    } else if(previous === 'unhealthy') {
+      logger.info('database has recovered');
+      await bedrock.events.emit('bedrock-mongodb.recovered', {
+        latency: _health.latency
+      });
+    }
+  } catch(e) {
+    logger.error('error in database health event handler', {error: e});
+  }
+}
+
+function _summarizeTopology(description) {
+  const summary = {type: description.type, primary: null, secondaries: []};
+  for(const [address, server] of description.servers) {
+    if(server.type === 'RSPrimary' || server.type === 'Standalone' ||
+      server.type === 'Mongos') {
+      summary.primary = summary.primary ?? address;
+    } else if(server.type === 'RSSecondary') {
+      summary.secondaries.push(address);
+    }
+  }
+  return summary;
+}
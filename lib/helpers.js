@@ -15,30 +15,201 @@
  *
  * SPDX-License-Identifier: Apache-2.0
  */
+import {BSON, MongoError} from 'mongodb';
+import {config, util} from '@bedrock/core';
+import {getPath, isPlainObject, setPath} from './objects.js';
 import {
   MDBE_AUTHN_FAILED,
+  MDBE_DOCUMENT_VALIDATION_FAILURE,
   MDBE_DUPLICATE,
   MDBE_DUPLICATE_ON_UPDATE,
-  MDBE_ERROR_SET
+  MDBE_ERROR_SET,
+  MDBE_EXCEEDED_TIME_LIMIT,
+  MDBE_NAMESPACE_EXISTS,
+  MDBE_NOT_PRIMARY_ERROR_SET,
+  MDBE_WRITE_CONCERN_FAILED,
+  MONGO_NETWORK_ERROR,
+  MONGO_NETWORK_TIMEOUT_ERROR,
+  MONGO_SERVER_SELECTION_ERROR,
+  MONGO_WRITE_CONCERN_ERROR,
+  TRANSIENT_TRANSACTION_ERROR,
+  UNKNOWN_TRANSACTION_COMMIT_RESULT
 } from './exceptions.js';
+import {_assertNotClosing} from './shutdown.js';
 import crypto from 'node:crypto';
-import {MongoError} from 'mongodb';
+import {getEncoding} from './encodings.js';
+import {isDeepStrictEqual} from 'node:util';
 
 // load config defaults
 import './config.js';
 
+const {BedrockError} = util;
+const {EJSON} = BSON;
+
+// algorithms and encodings supported by `hash`
+const HASH_ALGORITHMS = new Set(['sha256', 'sha512', 'blake2b512']);
+const HASH_ENCODINGS = new Set(['base64', 'base64url', 'hex']);
+
+// algorithm used to encrypt document fields
+const FIELD_ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
 /**
  * Creates a hash of a key that can be indexed.
  *
+ * The hash is created using the scheme identified by `options.scheme` or, by
+ * default, `config.mongodb.hash.scheme`. Hashes created with a configured
+ * scheme are prefixed with `<scheme>:` so that the scheme can be changed
+ * without breaking lookups of existing hashes (see `getHashes`). A scheme of
+ * `null` creates legacy unkeyed SHA-256 base64 hashes with no prefix.
+ *
  * @param {string} key - The key to hash.
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.scheme] - The ID of the scheme in
+ *   `config.mongodb.hash.schemes` to use or `null` for the legacy scheme.
  *
  * @returns {string} - The hash.
  */
-export function hash(key) {
+export function hash(key, {scheme = config.mongodb.hash.scheme} = {}) {
   if(typeof key !== 'string') {
     throw new TypeError('"key" must be a string.');
   }
-  return crypto.createHash('sha256').update(key, 'utf8').digest('base64');
+  if(scheme === null) {
+    return crypto.createHash('sha256').update(key, 'utf8').digest('base64');
+  }
+  const {algorithm, encoding, secret} = _getHashScheme(scheme);
+  const hasher = secret ?
+    crypto.createHmac(algorithm, secret) : crypto.createHash(algorithm);
+  return `${scheme}:${hasher.update(key, 'utf8').digest(encoding)}`;
+}
+
+/**
+ * Gets every hash of a key that may have been stored: the hash using the
+ * current scheme first, followed by the hashes using every other configured
+ * scheme and, if `config.mongodb.hash.includeLegacy` is `true`, the legacy
+ * scheme. Use these with `$in` to find records while they are being migrated
+ * from one scheme to another.
+ *
+ * @param {string} key - The key to hash.
+ *
+ * @returns {Array<string>} - The hashes.
+ */
+export function getHashes(key) {
+  const {scheme: current, schemes, includeLegacy} = config.mongodb.hash;
+  const ids = new Set([current, ...Object.keys(schemes)]);
+  if(includeLegacy) {
+    ids.add(null);
+  }
+  return [...ids].map(scheme => hash(key, {scheme}));
+}
+
+/**
+ * Encrypts the values at the given paths in a document using AES-256-GCM.
+ * Each encrypted value is replaced with an object that holds the ID of the
+ * key used (`kid`), the IV, the authentication tag, and the ciphertext, so
+ * that it can be decrypted after the current key has been rotated. The path
+ * is used as additional authenticated data, so an encrypted value cannot be
+ * moved to another path. Paths whose values are `undefined` are skipped.
+ *
+ * @param {object} doc - The document.
+ * @param {object} options - The options to use.
+ * @param {Array} options.paths - The dot-delimited paths to encrypt.
+ * @param {Function} [options.keyResolver] - An async function that receives
+ *   `{id}` and resolves to `{id, key}` with the 32-byte key with that ID or,
+ *   if `id` is `undefined`, the current key to encrypt with; defaults to
+ *   using the keys in `config.mongodb.fieldEncryption`.
+ *
+ * @returns {Promise<object>} Resolves to a copy of the document with the
+ *   values at `paths` encrypted; the given document is not modified.
+ */
+export async function encryptFields(doc, {
+  paths, keyResolver = _resolveConfiguredKey
+} = {}) {
+  const rval = {...doc};
+  const {id, key} = await keyResolver({});
+  for(const path of paths) {
+    const value = getPath(rval, path);
+    if(value === undefined) {
+      continue;
+    }
+    setPath(rval, path, _encryptValue({value, path, id, key}));
+  }
+  return rval;
+}
+
+/**
+ * Decrypts the values at the given paths in a document that were encrypted
+ * via `encryptFields`. Values that are not encrypted are left as-is.
+ *
+ * @param {object} doc - The document.
+ * @param {object} options - The options to use.
+ * @param {Array} options.paths - The dot-delimited paths to decrypt.
+ * @param {Function} [options.keyResolver] - The key resolver (see
+ *   `encryptFields`).
+ *
+ * @returns {Promise<object>} Resolves to a copy of the document with the
+ *   values at `paths` decrypted.
+ */
+export async function decryptFields(doc, {
+  paths, keyResolver = _resolveConfiguredKey
+} = {}) {
+  const rval = {...doc};
+  for(const path of paths) {
+    const encrypted = getPath(rval, path);
+    if(!_isEncryptedValue(encrypted)) {
+      continue;
+    }
+    const {key} = await keyResolver({id: encrypted.kid});
+    setPath(rval, path, _decryptValue({encrypted, path, key}));
+  }
+  return rval;
+}
+
+/**
+ * Re-encrypts, with the current key, the values at the given paths in every
+ * document in a collection that matches `query` and that were encrypted with
+ * another key. Run this after rotating keys so that old keys can be retired.
+ * A document that is concurrently modified is skipped and may be re-encrypted
+ * by running this again.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.collection - The collection to scan.
+ * @param {object} [options.query={}] - A query to limit the documents.
+ * @param {Array} options.paths - The dot-delimited paths to re-encrypt.
+ * @param {Function} [options.keyResolver] - The key resolver (see
+ *   `encryptFields`).
+ *
+ * @returns {Promise<object>} Resolves to `{scanned, updated}` counts.
+ */
+export async function reencryptFields({
+  collection, query = {}, paths, keyResolver = _resolveConfiguredKey
+} = {}) {
+  _assertNotClosing();
+  const {id: currentId} = await keyResolver({});
+  let scanned = 0;
+  let updated = 0;
+  for await (const doc of collection.find(query)) {
+    scanned++;
+    const stale = paths.filter(path => {
+      const value = getPath(doc, path);
+      return _isEncryptedValue(value) && value.kid !== currentId;
+    });
+    if(stale.length === 0) {
+      continue;
+    }
+    const decrypted = await decryptFields(doc, {paths: stale, keyResolver});
+    const encrypted = await encryptFields(
+      decrypted, {paths: stale, keyResolver});
+    const filter = {_id: doc._id};
+    const $set = {};
+    for(const path of stale) {
+      filter[`${path}.kid`] = getPath(doc, path).kid;
+      $set[path] = getPath(encrypted, path);
+    }
+    const result = await collection.updateOne(
+      filter, {$set}, config.mongodb.writeOptions);
+    updated += result.modifiedCount;
+  }
+  return {scanned, updated};
 }
 
 /**
@@ -53,7 +224,8 @@ export function hash(key) {
  *     [include] dot-delimited fields to include, any not listed will be
  *       excluded; cannot be provided with `filter`
  *     [exclude] dot-delimited db encoded fields to exclude, any listed
- *       will be excluded; cannot be provided with `filter`.
+ *       will be excluded; cannot be provided with `filter`
+ *     [encoding] the key encoding to use (see `encodeString`).
  *
  * @returns {object} The update object to be assigned to $set in an update
  *   query.
@@ -73,34 +245,17 @@ export function buildUpdate(obj) {
   }
   options = options || {};
   const rval = arguments[3] || {};
-  if(options.filter) {
-    if(typeof options.filter !== 'function') {
-      throw new TypeError('options.filter must be a function');
-    }
-    if(options.include || options.exclude) {
-      throw new Error(
-        'options.filter must not be provided with options.include ' +
-        'or options.exclude');
-    }
-    if(!options.filter(field, obj)) {
-      return rval;
-    }
-  }
-  if('exclude' in options && options.exclude.indexOf(field) !== -1) {
-    return rval;
-  }
-  if('include' in options && field.indexOf('.') !== -1 &&
-    options.include.indexOf(field) === -1) {
+  if(!_isFieldSelected({field, value: obj, options})) {
     return rval;
   }
   if(obj && typeof obj === 'object') {
     if(Array.isArray(obj)) {
       // encode every element in the array
-      rval[field] = obj.map(encode);
+      rval[field] = obj.map(e => encode(e, options));
     } else {
       // for objects, recurse for each field
       Object.keys(obj).forEach(name => {
-        const dbName = encodeString(name);
+        const dbName = encodeString(name, options);
         buildUpdate(obj[name], (field.length > 0) ?
           field + '.' + dbName : dbName, options, rval);
       });
@@ -111,19 +266,66 @@ export function buildUpdate(obj) {
   return rval;
 }
 
+/**
+ * Builds a complete update document from the differences between an old and
+ * a new version of an object. Fields only in the old object are unset, new or
+ * changed fields are set, and nested objects are diffed recursively so that
+ * only the changed nested fields are updated. Arrays are replaced wholesale
+ * unless `arrayOperators` is set, in which case arrays that only had
+ * elements appended use `$push` and arrays that only had elements removed
+ * use `$pull`.
+ *
+ * @param {object} oldObj - The old version of the object.
+ * @param {object} newObj - The new version of the object.
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.field] - A db encoded parent field.
+ * @param {Function} [options.filter] - A function used to filter each field
+ *   encountered (see `buildUpdate`).
+ * @param {Array} [options.include] - Dot-delimited fields to include (see
+ *   `buildUpdate`).
+ * @param {Array} [options.exclude] - Dot-delimited db encoded fields to
+ *   exclude (see `buildUpdate`).
+ * @param {boolean} [options.arrayOperators=false] - `true` to use `$push` and
+ *   `$pull` for array changes where possible.
+ * @param {string|object} [options.encoding] - The key encoding to use (see
+ *   `encodeString`).
+ *
+ * @returns {object} The update document with any of `$set`, `$unset`,
+ *   `$push`, and `$pull`; empty if there are no differences.
+ */
+export function buildUpdateDiff(oldObj, newObj, options = {}) {
+  if(!(isPlainObject(oldObj) && isPlainObject(newObj))) {
+    throw new TypeError('"oldObj" and "newObj" must be objects.');
+  }
+  const update = {$set: {}, $unset: {}, $push: {}, $pull: {}};
+  _diff({
+    field: options.field ?? '', oldValue: oldObj, newValue: newObj,
+    options, update
+  });
+  for(const operator in update) {
+    if(Object.keys(update[operator]).length === 0) {
+      delete update[operator];
+    }
+  }
+  return update;
+}
+
 /**
  * Encodes a string that contain reserved MongoDB characters.
  *
  * @param {string} value - The value to encode.
+ * @param {object} [options={}] - The options to use.
+ * @param {string|object} [options.encoding] - The key encoding to use: one
+ *   of `percent` (percent-encode '%', '$', and '.'), `strict` (percent-encode
+ *   '%', '.', and a leading '$'), `fullwidth` (substitute full-width Unicode
+ *   characters for '$' and '.'), or an object with `encodeString` and
+ *   `decodeString` functions; defaults to `config.mongodb.keyEncoding`.
  *
  * @returns {string} The encoded result.
  */
-export function encodeString(value) {
-  // percent-encode '%' and illegal mongodb key characters
-  return value
-    .replace(/%/g, '%25')
-    .replace(/\$/g, '%24')
-    .replace(/\./g, '%2E');
+export function encodeString(value, {encoding} = {}) {
+  return getEncoding(encoding ?? config.mongodb.keyEncoding)
+    .encodeString(value);
 }
 
 /**
@@ -131,18 +333,21 @@ export function encodeString(value) {
  * characters.
  *
  * @param {*} value - The value to encode.
+ * @param {object} [options={}] - The options to use.
+ * @param {string|object} [options.encoding] - The key encoding to use (see
+ *   `encodeString`).
  *
  * @returns {*} The encoded result.
  */
-export function encode(value) {
+export function encode(value, {encoding} = {}) {
   let rval;
   if(Array.isArray(value)) {
     rval = [];
-    value.forEach(e => rval.push(encode(e)));
-  } else if(value && typeof value === 'object') {
+    value.forEach(e => rval.push(encode(e, {encoding})));
+  } else if(value && typeof value === 'object' && !_isOpaqueValue(value)) {
     rval = {};
     Object.keys(value).forEach(name =>
-      rval[encodeString(name)] = encode(value[name]));
+      rval[encodeString(name, {encoding})] = encode(value[name], {encoding}));
   } else {
     rval = value;
   }
@@ -151,14 +356,19 @@ export function encode(value) {
 
 /**
  * Decodes a string that was previously encoded due to potential of MongoDB
- * characters (or the '%' encode character).
+ * characters (or the '%' encode character). This never throws; any part of
+ * the string that cannot be decoded is left as-is.
  *
  * @param {string} value - The value to decode.
+ * @param {object} [options={}] - The options to use.
+ * @param {string|object} [options.encoding] - The key encoding to use (see
+ *   `encodeString`).
  *
  * @returns {string} The decoded result.
  */
-export function decodeString(value) {
-  return decodeURIComponent(value);
+export function decodeString(value, {encoding} = {}) {
+  return getEncoding(encoding ?? config.mongodb.keyEncoding)
+    .decodeString(value);
 }
 
 /**
@@ -166,24 +376,186 @@ export function decodeString(value) {
  * they contained reserved MongoDB characters (or the '%' encode character).
  *
  * @param {*} value - The value to decode.
+ * @param {object} [options={}] - The options to use.
+ * @param {string|object} [options.encoding] - The key encoding to use (see
+ *   `encodeString`).
  *
  * @returns {*} The decoded result.
  */
-export function decode(value) {
+export function decode(value, {encoding} = {}) {
   let rval;
   if(Array.isArray(value)) {
     rval = [];
-    value.forEach(e => rval.push(decode(e)));
-  } else if(value && typeof value === 'object') {
+    value.forEach(e => rval.push(decode(e, {encoding})));
+  } else if(value && typeof value === 'object' && !_isOpaqueValue(value)) {
     rval = {};
     Object.keys(value).forEach(name =>
-      rval[decodeString(name)] = decode(value[name]));
+      rval[decodeString(name, {encoding})] = decode(value[name], {encoding}));
   } else {
     rval = value;
   }
   return rval;
 }
 
+function _diff({field, oldValue, newValue, options, update}) {
+  if(!_isFieldSelected({field, value: newValue ?? oldValue, options})) {
+    return;
+  }
+  if(isPlainObject(oldValue) && isPlainObject(newValue)) {
+    // for objects, recurse for each field in either version
+    const names = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+    for(const name of names) {
+      const dbName = encodeString(name, options);
+      const path = field.length > 0 ? field + '.' + dbName : dbName;
+      if(!(name in newValue)) {
+        if(_isFieldSelected({field: path, value: oldValue[name], options})) {
+          update.$unset[path] = '';
+        }
+        continue;
+      }
+      _diff({
+        field: path, oldValue: oldValue[name], newValue: newValue[name],
+        options, update
+      });
+    }
+    return;
+  }
+  if(isDeepStrictEqual(oldValue, newValue)) {
+    return;
+  }
+  if(options.arrayOperators &&
+    Array.isArray(oldValue) && Array.isArray(newValue)) {
+    // elements only appended
+    if(newValue.length > oldValue.length &&
+      isDeepStrictEqual(oldValue, newValue.slice(0, oldValue.length))) {
+      update.$push[field] = {
+        $each: newValue.slice(oldValue.length).map(e => encode(e, options))
+      };
+      return;
+    }
+    // elements only removed (`$pull` removes every matching element, so
+    // this only applies when no remaining element matches a removed one)
+    const removed = oldValue.filter(
+      e => !newValue.some(n => isDeepStrictEqual(e, n)));
+    if(removed.length > 0 && isDeepStrictEqual(
+      oldValue.filter(e => !removed.includes(e)), newValue)) {
+      update.$pull[field] = {$in: removed.map(e => encode(e, options))};
+      return;
+    }
+  }
+  update.$set[field] = encode(newValue, options);
+}
+
+function _isFieldSelected({field, value, options}) {
+  if(options.filter) {
+    if(typeof options.filter !== 'function') {
+      throw new TypeError('options.filter must be a function');
+    }
+    if(options.include || options.exclude) {
+      throw new Error(
+        'options.filter must not be provided with options.include ' +
+        'or options.exclude');
+    }
+    if(!options.filter(field, value)) {
+      return false;
+    }
+  }
+  if('exclude' in options && options.exclude.indexOf(field) !== -1) {
+    return false;
+  }
+  if('include' in options && field.indexOf('.') !== -1 &&
+    options.include.indexOf(field) === -1) {
+    return false;
+  }
+  return true;
+}
+
+function _isWriteConcernTimeout(err) {
+  const writeConcernError = err.name === MONGO_WRITE_CONCERN_ERROR ?
+    err : err.writeConcernError ?? err.result?.writeConcernError;
+  return !!writeConcernError && (
+    writeConcernError.code === MDBE_WRITE_CONCERN_FAILED ||
+    !!writeConcernError.errInfo?.wtimeout);
+}
+
+function _getHashScheme(id) {
+  const scheme = config.mongodb.hash.schemes[id];
+  if(!scheme) {
+    throw new BedrockError(`Hash scheme "${id}" not found.`, {
+      name: 'NotFoundError',
+      details: {scheme: id}
+    });
+  }
+  const {algorithm = 'sha256', encoding = 'base64', secret} = scheme;
+  if(!(HASH_ALGORITHMS.has(algorithm) && HASH_ENCODINGS.has(encoding)) ||
+    id.includes(':')) {
+    throw new BedrockError(`Hash scheme "${id}" is not supported.`, {
+      name: 'NotSupportedError',
+      details: {scheme: id, algorithm, encoding}
+    });
+  }
+  return {algorithm, encoding, secret};
+}
+
+function _encryptValue({value, path, id, key}) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(FIELD_ENCRYPTION_ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(path, 'utf8'));
+  // serialize as canonical EJSON to preserve BSON types such as dates
+  const plaintext = EJSON.stringify({v: value}, {relaxed: false});
+  const ct = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    alg: FIELD_ENCRYPTION_ALGORITHM, kid: id, iv, tag: cipher.getAuthTag(), ct
+  };
+}
+
+function _decryptValue({encrypted, path, key}) {
+  try {
+    const decipher = crypto.createDecipheriv(
+      FIELD_ENCRYPTION_ALGORITHM, key, _toBuffer(encrypted.iv));
+    decipher.setAAD(Buffer.from(path, 'utf8'));
+    decipher.setAuthTag(_toBuffer(encrypted.tag));
+    const plaintext = Buffer.concat([
+      decipher.update(_toBuffer(encrypted.ct)), decipher.final()
+    ]).toString('utf8');
+    return EJSON.parse(plaintext, {relaxed: true}).v;
+  } catch(e) {
+    throw new BedrockError('Could not decrypt field.', {
+      name: 'DataError',
+      details: {path, kid: encrypted.kid},
+      cause: e
+    });
+  }
+}
+
+function _isEncryptedValue(value) {
+  return isPlainObject(value) && value.alg === FIELD_ENCRYPTION_ALGORITHM &&
+    typeof value.kid === 'string' && 'ct' in value;
+}
+
+async function _resolveConfiguredKey({id}) {
+  const {currentKeyId, keys} = config.mongodb.fieldEncryption;
+  id = id ?? currentKeyId;
+  if(!(typeof id === 'string' && keys[id])) {
+    throw new BedrockError(`Field encryption key "${id}" not found.`, {
+      name: 'NotFoundError',
+      details: {id}
+    });
+  }
+  return {id, key: Buffer.from(keys[id], 'base64')};
+}
+
+function _toBuffer(value) {
+  // binary values are only promoted to buffers if `promoteBuffers` is set
+  return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer);
+}
+
+// values whose properties are not keys and must not be encoded or decoded
+function _isOpaqueValue(value) {
+  return value instanceof Date || value instanceof RegExp ||
+    ArrayBuffer.isView(value) || typeof value._bsontype === 'string';
+}
+
 /**
  * Returns true if the given error is a MongoDB 'already exists' error.
  *
@@ -193,7 +565,8 @@ export function decode(value) {
  *   not.
  */
 export function isAlreadyExistsError(err) {
-  return err?.message?.includes('already exists');
+  return err?.code === MDBE_NAMESPACE_EXISTS ||
+    !!err?.message?.includes('already exists');
 }
 
 /**
@@ -221,6 +594,154 @@ export function isDuplicateError(err) {
     (err.code === MDBE_DUPLICATE || err.code === MDBE_DUPLICATE_ON_UPDATE);
 }
 
+/**
+ * Gets the details of the duplicate key errors in the given error, i.e., the
+ * error itself if it is a duplicate key error or, for a bulk write error, each
+ * of its write errors that is a duplicate key error. Each element has the
+ * name of the unique `index` that was violated, its `keyPattern`, and the
+ * conflicting `keyValue`; each segment of the field paths in `keyPattern` and
+ * `keyValue` is decoded via `decodeString` and the values in `keyValue` are
+ * decoded via `decode`. Any of these that cannot be determined is `null`.
+ *
+ * The driver does not keep `keyPattern` and `keyValue` for the write errors
+ * in a bulk write error, so they are derived from the error message and the
+ * failed operation instead: `keyPattern` is only known if the index has its
+ * default name and `keyValue` only has the values that the operation (an
+ * inserted or replacement document, or the `$set` or `$setOnInsert` of an
+ * update) sets, with `null` for any others.
+ *
+ * @param {Error} err - The error.
+ * @param {object} [options={}] - The options to use.
+ * @param {string|object} [options.encoding] - The key encoding to decode
+ *   with (see `encodeString`).
+ *
+ * @returns {Array<object>} The details; empty if there are no duplicate key
+ *   errors.
+ */
+export function getDuplicateKeyDetails(err, {encoding} = {}) {
+  if(!isDatabaseError(err)) {
+    return [];
+  }
+  const errors = err.writeErrors ?? [err];
+  return errors
+    .filter(({code}) =>
+      code === MDBE_DUPLICATE || code === MDBE_DUPLICATE_ON_UPDATE)
+    .map(error => {
+      const message = error.errmsg ?? error.message ?? '';
+      const index = message.match(/ index: (\S+) dup key/)?.[1] ?? null;
+      let {keyPattern = null, keyValue = null} = error;
+      if(!keyValue && typeof error.getOperation === 'function') {
+        // a write error in a bulk write error
+        const paths = _getDuplicateKeyPaths(message);
+        if(paths) {
+          keyPattern = keyPattern ?? _getDefaultKeyPattern({index, paths});
+          keyValue = _getOperationKeyValue({
+            op: error.getOperation(), paths
+          });
+        }
+      }
+      return {
+        index,
+        keyPattern: _decodePaths(keyPattern, {encoding}),
+        keyValue: _decodePaths(keyValue, {encoding, values: true})
+      };
+    });
+}
+
+// decodes each segment of the dotted field paths that are the keys of `obj`
+// and, if `values` is set, its values
+function _decodePaths(obj, {encoding, values = false}) {
+  return obj && Object.fromEntries(Object.entries(obj).map(([path, value]) => [
+    path.split('.').map(key => decodeString(key, {encoding})).join('.'),
+    values ? decode(value, {encoding}) : value
+  ]));
+}
+
+// gets the field paths from the `dup key: { <path>: <value>, ... }` part of a
+// duplicate key error message; returns `null` if they cannot be found
+function _getDuplicateKeyPaths(message) {
+  const prefix = ' dup key: { ';
+  let i = message.indexOf(prefix);
+  if(i === -1) {
+    return null;
+  }
+  const paths = [];
+  for(i += prefix.length; i < message.length; i += 2) {
+    const end = message.indexOf(': ', i);
+    // old servers omit the paths, e.g., `{ : "value" }`
+    if(end <= i) {
+      return null;
+    }
+    paths.push(message.slice(i, end));
+    // skip the value, which may have quoted strings and nested brackets
+    let depth = 0;
+    let quote = null;
+    for(i = end + 2; i < message.length; ++i) {
+      const c = message[i];
+      if(quote) {
+        if(c === '\\') {
+          ++i;
+        } else if(c === quote) {
+          quote = null;
+        }
+      } else if(c === '"' || c === '\'') {
+        quote = c;
+      } else if('{[('.includes(c)) {
+        depth++;
+      } else if('}])'.includes(c)) {
+        if(depth === 0) {
+          // the end of the key
+          return paths;
+        }
+        depth--;
+      } else if(c === ',' && depth === 0) {
+        break;
+      }
+    }
+  }
+  return null;
+}
+
+// gets the key pattern of an index from its name if it has the default name,
+// e.g., `a_1_b_-1` for `{a: 1, b: -1}`
+function _getDefaultKeyPattern({index, paths}) {
+  const pattern = paths.map(path => {
+    const escaped = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return `${escaped}_(-?1|2d|2dsphere|hashed)`;
+  });
+  const match = index?.match(new RegExp(`^${pattern.join('_')}$`));
+  return match && Object.fromEntries(paths.map((path, i) => {
+    const type = match[i + 1];
+    return [path, /^-?1$/.test(type) ? Number.parseInt(type, 10) : type];
+  }));
+}
+
+// gets the value at each path from a failed bulk write operation
+function _getOperationKeyValue({op, paths}) {
+  let sources = [op];
+  if(isPlainObject(op?.q) && isPlainObject(op.u)) {
+    // an update; its filter may have the values if it is an upsert
+    const {u, q} = op;
+    sources = Object.keys(u).some(key => key.startsWith('$')) ?
+      [u.$set, u.$setOnInsert, q] : [u];
+  }
+  return Object.fromEntries(paths.map(path => {
+    for(const source of sources) {
+      // updates may set dotted paths directly
+      const value = source?.[path] ?? getPath(source ?? {}, path);
+      if(value !== undefined && !_isOperatorExpression(value)) {
+        return [path, value];
+      }
+    }
+    return [path, null];
+  }));
+}
+
+function _isOperatorExpression(value) {
+  return isPlainObject(value) &&
+    Object.keys(value).some(key => key.startsWith('$'));
+}
+
 /**
  * Returns true if the given error is a MongoDB error.
  *
@@ -234,6 +755,102 @@ export function isDatabaseError(err) {
     (err instanceof MongoError || MDBE_ERROR_SET.has(err.name));
 }
 
+/**
+ * Returns true if the given error is a MongoDB error labeled as a transient
+ * transaction error, meaning the whole transaction may be retried.
+ *
+ * @param {Error} err - The error to check.
+ *
+ * @returns {boolean} True if the error is a transient transaction error,
+ *   false if not.
+ */
+export function isTransientTransactionError(err) {
+  return isDatabaseError(err) &&
+    !!err.hasErrorLabel?.(TRANSIENT_TRANSACTION_ERROR);
+}
+
+/**
+ * Returns true if the given error is a MongoDB error labeled as an unknown
+ * transaction commit result, meaning the commit may be retried.
+ *
+ * @param {Error} err - The error to check.
+ *
+ * @returns {boolean} True if the error is an unknown transaction commit
+ *   result error, false if not.
+ */
+export function isUnknownTransactionCommitResultError(err) {
+  return isDatabaseError(err) &&
+    !!err.hasErrorLabel?.(UNKNOWN_TRANSACTION_COMMIT_RESULT);
+}
+
+/**
+ * Translates a MongoDB error into a `BedrockError` with a stable name and
+ * sanitized details: the error `code`, `codeName`, and an `httpStatusCode`,
+ * but not the error message, the command, or any record data; the original
+ * error is its `cause`:
+ *
+ * - duplicate key: `DuplicateError` whose details also include the `index`
+ *   and `keyPattern`, but not the conflicting `keyValue` (use
+ *   `getDuplicateKeyDetails` to get it).
+ * - write concern timeout, exceeded time limit, or network timeout:
+ *   `TimeoutError`.
+ * - network or server selection error: `NetworkError`.
+ * - not primary: `InvalidStateError`.
+ * - document validation failure: `DataError`.
+ * - any other database error: `OperationError`.
+ *
+ * Errors that are not database errors are returned as-is.
+ *
+ * @param {Error} err - The error to translate.
+ *
+ * @returns {Error} The translated error.
+ */
+export function translateError(err) {
+  if(!isDatabaseError(err)) {
+    return err;
+  }
+  // a bulk write fails with the first write error, if any
+  const cause = err.writeErrors?.[0] ?? err;
+  const {code, codeName} = cause;
+  const details = {code, codeName};
+  let name = 'OperationError';
+  let message = 'Database operation failed.';
+  let httpStatusCode = 500;
+  if(code === MDBE_DUPLICATE || code === MDBE_DUPLICATE_ON_UPDATE) {
+    name = 'DuplicateError';
+    message = 'Duplicate record.';
+    httpStatusCode = 409;
+    // the conflicting values are record data and are omitted
+    const [{index = null, keyPattern = null} = {}] =
+      getDuplicateKeyDetails(err);
+    Object.assign(details, {index, keyPattern});
+  } else if(_isWriteConcernTimeout(err) ||
+    code === MDBE_EXCEEDED_TIME_LIMIT ||
+    err.name === MONGO_NETWORK_TIMEOUT_ERROR) {
+    name = 'TimeoutError';
+    message = 'Database operation timed out.';
+    httpStatusCode = 503;
+  } else if(err.name === MONGO_NETWORK_ERROR ||
+    err.name === MONGO_SERVER_SELECTION_ERROR) {
+    name = 'NetworkError';
+    message = 'Could not connect to the database.';
+    httpStatusCode = 503;
+  } else if(MDBE_NOT_PRIMARY_ERROR_SET.has(code)) {
+    name = 'InvalidStateError';
+    message = 'Database server is not primary.';
+    httpStatusCode = 503;
+  } else if(code === MDBE_DOCUMENT_VALIDATION_FAILURE) {
+    name = 'DataError';
+    message = 'Document failed validation.';
+    httpStatusCode = 400;
+  }
+  return new BedrockError(message, {
+    name,
+    details: {...details, httpStatusCode},
+    cause: err
+  });
+}
+
 /**
  * A helper method for incrementing cycling update IDs.
  *
@@ -17,7 +17,19 @@
  */
 import * as bedrock from '@bedrock/core';
 import * as urls from './urls.js';
+import {_assertNotClosing, _close, _trackOperations} from './shutdown.js';
+import {_initMigrations, _openMigrationCollection} from './migrations.js';
+import {_startEphemeralServer, _stopEphemeralServer} from './ephemeral.js';
+import {_startHealthMonitor, _stopHealthMonitor} from './health.js';
 import {isAlreadyExistsError, isAuthenticationError} from './helpers.js';
+import {_initEncryption} from './encryption.js';
+import {_retryStartup} from './retry.js';
+import {_startInstrumentation} from './instrumentation.js';
+import {_startTracing} from './tracing.js';
+import {_stopQueueWorkers} from './queue.js';
+import {_stopWatchers} from './changeStreams.js';
+import crypto from 'node:crypto';
+import {isDeepStrictEqual} from 'node:util';
 import {logger} from './logger.js';
 import mongo from 'mongodb';
 import {openDatabase} from './authn.js';
@@ -35,12 +47,37 @@ let _client = null;
 // database portion of client API
 let _db = null;
 // shared collections cache
-const _collections = {};
+let _collections = {};
 export {_client as client, _db as db, _collections as collections};
 
+// named connections (see `config.mongodb.connections`); each has a `client`,
+// `db`, and `collections` cache
+const _connections = new Map();
+
+// the previous `{db, collections}` for each isolated database in use (see
+// `isolateDatabase`)
+const _isolated = [];
+
 // export all helpers
 export * from './helpers.js';
 
+export {acquireLock, releaseLock, renewLock} from './locks.js';
+export {enqueue, startQueueWorker} from './queue.js';
+export {
+  loadFixtures, restoreSnapshot, snapshotCollections
+} from './fixtures.js';
+export {createDataKey} from './encryption.js';
+export {getHealth} from './health.js';
+export {getMetrics, resetMetrics} from './instrumentation.js';
+export {paginate} from './pagination.js';
+export {watch} from './changeStreams.js';
+export {reconcileIndexes} from './indexes.js';
+export {updateWithSequence} from './sequence.js';
+export {withTransaction} from './transactions.js';
+export {
+  getMigrationStatus, registerMigration, revertMigrations, runMigrations
+} from './migrations.js';
+
 // load test config
 bedrock.events.on('bedrock.test.configure', async () => {
   await import('./test.config.js');
@@ -51,6 +88,21 @@ bedrock.events.on('bedrock.init', _init);
 bedrock.events.on(
   'bedrock.start', () => bedrock.events.emit('bedrock-mongodb.ready'));
 
+// close the database once every `bedrock.stop` handler has run (this includes
+// when bedrock exits on a signal such as SIGTERM) so that other modules may
+// still use the database while stopping
+bedrock.events.on('bedrock.stopped', async () => {
+  if(_client) {
+    _stopHealthMonitor();
+    await _stopWatchers();
+    await _stopQueueWorkers();
+    await _close({
+      clients: [_client, ...[..._connections.values()].map(c => c.client)]
+    });
+  }
+  await _stopEphemeralServer();
+});
+
 bedrock.events.on('bedrock-cli.ready', () => {
   const command = bedrock.config.cli.command;
   if(command.name() === 'test') {
@@ -58,19 +110,41 @@ bedrock.events.on('bedrock-cli.ready', () => {
   }
 });
 
+// used by other modules (e.g., `fixtures.js`) to check for test mode
+export function _isTestMode() {
+  return testMode;
+}
+
 /**
  * Opens any collections in the given list that aren't already open.
  *
- * @param {Array} names - The names of the collections to open.
+ * Each element may be a collection name or an object with a `name` and
+ * `options` to use when creating the collection (e.g., `validator`,
+ * `validationLevel`, `validationAction`, `capped`, `size`, `timeseries`,
+ * `collation`, `clusteredIndex`). If a collection with options already exists
+ * and its `validator`, `validationLevel`, or `validationAction` differ from
+ * those given, they are updated via `collMod`; other options cannot be
+ * changed once a collection has been created.
+ *
+ * @param {Array} names - The names of the collections to open or objects
+ *   with `name` and `options`.
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.connection] - The name of the connection (see
+ *   `config.mongodb.connections`) to open the collections with; the default
+ *   connection is used if not given.
  *
  * @returns {Promise} Resolves once the operation completes.
  */
-export async function openCollections(names) {
+export async function openCollections(names, {connection} = {}) {
+  _assertNotClosing();
+  const {db, collections} = _getConnection(connection);
+
   // remove collections that are already open
   const unopened = [];
-  for(const name of names) {
-    if(!(name in _collections)) {
-      unopened.push(name);
+  for(const item of names) {
+    const {name, options} = typeof item === 'string' ? {name: item} : item;
+    if(!(name in collections)) {
+      unopened.push({name, options});
     }
   }
 
@@ -80,32 +154,65 @@ export async function openCollections(names) {
   }
 
   // create collections as necessary (ignore already exists error)
-  await Promise.all(unopened.map(async name => {
+  await Promise.all(unopened.map(async ({name, options}) => {
     logger.debug('creating collection: ' + name);
     try {
-      await _db.createCollection(name);
+      await db.createCollection(name, options);
     } catch(e) {
       if(!isAlreadyExistsError(e)) {
         throw e;
       }
+      if(options) {
+        await _updateValidator({db, name, options});
+      }
     }
     logger.debug('collection created: ' + name);
   }));
 
   // open the collections
-  logger.debug('opening collections', {collections: unopened});
+  logger.debug('opening collections', {
+    collections: unopened.map(({name}) => name)
+  });
   const openedCollections = new Map();
-  await Promise.all(unopened.map(async name => {
-    openedCollections.set(name, await _db.collection(name));
+  await Promise.all(unopened.map(async ({name}) => {
+    openedCollections.set(name, await db.collection(name));
   }));
 
   // merge results into collection cache
-  for(const name of unopened) {
+  for(const {name} of unopened) {
     logger.debug('collection open: ' + name);
-    _collections[name] = openedCollections.get(name);
+    collections[name] = openedCollections.get(name);
   }
 }
 
+/**
+ * Gets the database for a connection.
+ *
+ * @param {string} [name] - The name of the connection (see
+ *   `config.mongodb.connections`); the default connection is used if not
+ *   given.
+ *
+ * @returns {object} The database.
+ */
+export function getDatabase(name) {
+  return _getConnection(name).db;
+}
+
+/**
+ * Gets the collections cache for a connection, i.e., an object whose keys are
+ * the names of the collections that have been opened via `openCollections`
+ * using that connection.
+ *
+ * @param {string} [name] - The name of the connection (see
+ *   `config.mongodb.connections`); the default connection is used if not
+ *   given.
+ *
+ * @returns {object} The collections cache.
+ */
+export function getCollections(name) {
+  return _getConnection(name).collections;
+}
+
 /**
  * Creates indexes.
  *
@@ -113,15 +220,95 @@ export async function openCollections(names) {
  *   collection: <collection_name>,
  *   fields: <collection_fields>,
  *   options: <index_options>.
+ * @param {object} [createOptions={}] - The options to use.
+ * @param {string} [createOptions.connection] - The name of the connection the
+ *   collections were opened with; the default connection is used if not
+ *   given.
  *
  * @returns {Promise} Resolves once the operation completes.
  */
-export async function createIndexes(options) {
+export async function createIndexes(options, {connection} = {}) {
+  _assertNotClosing();
+  const {collections} = _getConnection(connection);
   await Promise.all(options.map(
-    async item => _collections[item.collection].createIndex(
+    async item => collections[item.collection].createIndex(
       item.fields, item.options)));
 }
 
+/**
+ * Points the default connection at a new, uniquely named database, e.g., for
+ * a test file or suite, so that tests do not share state. `db` and the
+ * `collections` cache are replaced, so collections must be (re)opened via
+ * `openCollections` after calling this. Call `restoreDatabase` afterward to
+ * drop the database and restore the previous one. May only be used in test
+ * mode.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {string} [options.name] - The name of the database; defaults to
+ *   the configured database name with a unique suffix.
+ *
+ * @returns {Promise<object>} Resolves to the database.
+ */
+export async function isolateDatabase({name} = {}) {
+  _assertNotClosing();
+  if(!testMode) {
+    throw new BedrockError(
+      'Isolated databases may only be used in test mode.', {
+        name: 'NotAllowedError'
+      });
+  }
+  if(name === undefined) {
+    // database names are limited to 63 bytes
+    const suffix = `_${crypto.randomBytes(6).toString('hex')}`;
+    name = _db.databaseName.slice(0, 63 - suffix.length) + suffix;
+  }
+  _isolated.push({db: _db, collections: _collections});
+  _db = _client.db(name);
+  _collections = {};
+  logger.debug(`using isolated database: ${name}`);
+
+  // the migration collection is otherwise only opened on init
+  await _openMigrationCollection();
+  return _db;
+}
+
+/**
+ * Drops the database created via `isolateDatabase` (unless
+ * `config.mongodb.isolation.keepDatabases` is `true`, e.g., for post-mortem
+ * debugging) and points the default connection back at the previous
+ * database.
+ *
+ * @returns {Promise} Resolves once the operation completes.
+ */
+export async function restoreDatabase() {
+  _assertNotClosing();
+  const previous = _isolated.pop();
+  if(!previous) {
+    throw new BedrockError('No isolated database is in use.', {
+      name: 'InvalidStateError'
+    });
+  }
+  const isolated = _db;
+  _db = previous.db;
+  _collections = previous.collections;
+  if(bedrock.config.mongodb.isolation.keepDatabases) {
+    logger.info(`keeping isolated database: ${isolated.databaseName}`);
+    return;
+  }
+  logger.debug(`dropping isolated database: ${isolated.databaseName}`);
+  await isolated.dropDatabase();
+}
+
+/**
+ * Registers mocha `before` and `after` hooks that call `isolateDatabase` and
+ * `restoreDatabase` so that the current test file or suite uses its own
+ * database. Call this at the top of a test file or in a `describe` block.
+ */
+export function useIsolatedDatabase() {
+  globalThis.before(async () => isolateDatabase());
+  globalThis.after(async () => restoreDatabase());
+}
+
 /**
  * Creates a streaming GridFS bucket instance.
  *
@@ -130,31 +317,68 @@ export async function createIndexes(options) {
  * @returns {object} The new GridFSBucket instance.
  */
 export function createGridFSBucket(options) {
+  _assertNotClosing();
   return new mongo.GridFSBucket(_db, options);
 }
 
 async function _init() {
   const config = bedrock.config.mongodb;
 
+  // start an ephemeral database server as requested
+  if(testMode && config.ephemeral.enabled) {
+    await _startEphemeralServer();
+  }
+
   if(!config.url) {
     config.url = urls.create(config);
   }
 
   try {
-    // initialize the database just once via a single worker
-    await bedrock.runOnce('bedrock-mongodb.init', _initDatabase);
-
-    // open database
-    logger.info('opening database', {url: urls.sanitize(config.url)});
-    const {client, db} = await openDatabase({url: config.url, init: false});
+    // record metrics and log slow operations; this starts before connecting
+    // so that every pooled connection is counted
+    const {client, db} = await _openConnection({
+      config, beforeConnect: _startInstrumentation
+    });
 
     _client = client;
     _db = db;
 
+    // create OpenTelemetry spans, if available
+    await _startTracing({client});
+
+    // set up client-side field level encryption, if enabled
+    await _initEncryption({client, config});
+
+    // monitor database health
+    await _startHealthMonitor({client});
+
+    // open any named connections
+    for(const name in config.connections) {
+      const connectionConfig = _getConnectionConfig(name);
+      try {
+        _connections.set(name, {
+          ...await _openConnection({name, config: connectionConfig}),
+          collections: {}
+        });
+      } catch(e) {
+        throw new BedrockError(
+          `Could not open database connection "${name}".`, {
+            name: 'OperationError',
+            details: {
+              connection: name, url: urls.sanitize(connectionConfig.url)
+            },
+            cause: e
+          });
+      }
+    }
+
     // drop any collections as requested
     if(testMode && config.dropCollections.onInit) {
       await _dropCollections();
     }
+
+    // apply any pending migrations
+    await _initMigrations();
   } catch(error) {
     logger.error('could not initialize database', {error});
     throw new BedrockError('Could not initialize database.', {
@@ -165,9 +389,62 @@ async function _init() {
   }
 }
 
-async function _initDatabase() {
-  const config = bedrock.config.mongodb;
+async function _openConnection({name, config, beforeConnect}) {
+  // initialize the database just once via a single worker
+  const id = name === undefined ?
+    'bedrock-mongodb.init' : `bedrock-mongodb.init.${name}`;
+  // (retrying while the database is not yet available)
+  await bedrock.runOnce(id, () => _retryStartup(
+    () => _initDatabase({config}), {operation: 'database initialization'}));
 
+  // open database
+  logger.info('opening database', {
+    connection: name, url: urls.sanitize(config.url)
+  });
+  const {client, db} = await _retryStartup(
+    () => openDatabase({url: config.url, init: false, config, beforeConnect}),
+    {operation: 'opening database'});
+
+  // track in-flight operations so they can be drained on shutdown
+  _trackOperations({client});
+
+  return {client, db};
+}
+
+function _getConnection(name) {
+  if(name === undefined) {
+    return {client: _client, db: _db, collections: _collections};
+  }
+  const connection = _connections.get(name);
+  if(!connection) {
+    throw new BedrockError(`Unknown database connection "${name}".`, {
+      name: 'NotFoundError',
+      details: {connection: name}
+    });
+  }
+  return connection;
+}
+
+function _getConnectionConfig(name) {
+  const defaults = bedrock.config.mongodb;
+  const config = {
+    protocol: 'mongodb',
+    host: 'localhost',
+    port: 27017,
+    forceAuthentication: false,
+    authentication: {},
+    connectOptions: defaults.connectOptions,
+    writeOptions: defaults.writeOptions,
+    requirements: defaults.requirements,
+    ...defaults.connections[name]
+  };
+  if(!config.url) {
+    config.url = urls.create(config);
+  }
+  return config;
+}
+
+async function _initDatabase({config}) {
   // connect to dbs
   let client;
 
@@ -175,7 +452,7 @@ async function _initDatabase() {
 
   try {
     try {
-      ({client} = await openDatabase({url: config.url, init: true}));
+      ({client} = await openDatabase({url: config.url, init: true, config}));
     } catch(e) {
       if(isAuthenticationError(e)) {
         // auth failed, either DB didn't exist or bad credentials
@@ -203,6 +480,28 @@ async function _initDatabase() {
   }
 }
 
+async function _updateValidator({db, name, options}) {
+  const [info] = await db.listCollections(
+    {name}, {nameOnly: false}).toArray();
+  const current = {
+    validator: {},
+    validationLevel: 'strict',
+    validationAction: 'error',
+    ...info?.options
+  };
+  const update = {};
+  for(const key of ['validator', 'validationLevel', 'validationAction']) {
+    if(key in options && !isDeepStrictEqual(options[key], current[key])) {
+      update[key] = options[key];
+    }
+  }
+  if(Object.keys(update).length === 0) {
+    return;
+  }
+  logger.info('updating collection validation: ' + name);
+  await db.command({collMod: name, ...update});
+}
+
 async function _dropCollections() {
   if(bedrock.config.mongodb.dropCollections.collections === undefined) {
     throw new BedrockError(
@@ -0,0 +1,184 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import {_assertNotClosing} from './shutdown.js';
+import {collections} from './index.js';
+import {isDeepStrictEqual} from 'node:util';
+import {logger} from './logger.js';
+
+// index options that change index behavior and must match to be "unchanged"
+const COMPARED_OPTIONS = [
+  '2dsphereIndexVersion',
+  'bits',
+  'collation',
+  'default_language',
+  'expireAfterSeconds',
+  'hidden',
+  'language_override',
+  'max',
+  'min',
+  'partialFilterExpression',
+  'sparse',
+  'unique',
+  'weights',
+  'wildcardProjection'
+];
+// boolean options where `false` is the same as not set
+const BOOLEAN_OPTIONS = new Set(['hidden', 'sparse', 'unique']);
+// options the server may fill in with defaults; only compared when declared
+const DEFAULTED_OPTIONS = new Set([
+  '2dsphereIndexVersion',
+  'bits',
+  'collation',
+  'default_language',
+  'language_override',
+  'max',
+  'min',
+  'weights'
+]);
+
+/**
+ * Compares declared indexes against the indexes that exist in the database
+ * and reports the differences. Unless `dryRun` is set, missing indexes are
+ * created and, when requested, changed indexes are rebuilt and extraneous
+ * indexes are dropped. Only the collections referenced in `indexes` are
+ * inspected and the `_id` index is never considered extraneous.
+ *
+ * @param {Array} indexes - An array of objects, each with:
+ *   collection: <collection_name>,
+ *   fields: <collection_fields>,
+ *   options: <index_options>; the same format as `createIndexes`.
+ * @param {object} [options={}] - The options to use.
+ * @param {boolean} [options.dryRun=false] - `true` to only report the
+ *   differences without changing any indexes.
+ * @param {boolean} [options.rebuild=false] - `true` to drop and recreate
+ *   indexes whose definitions have changed.
+ * @param {boolean} [options.dropExtraneous=false] - `true` to drop indexes
+ *   that are not declared.
+ *
+ * @returns {Promise<object>} Resolves to a report with `added`, `changed`,
+ *   `extraneous`, and `unchanged` arrays of `{collection, name, ...}` objects.
+ */
+export async function reconcileIndexes(indexes, {
+  dryRun = false, rebuild = false, dropExtraneous = false
+} = {}) {
+  _assertNotClosing();
+  const report = {added: [], changed: [], extraneous: [], unchanged: []};
+
+  // group declared indexes by collection
+  const declared = new Map();
+  for(const item of indexes) {
+    const name = item.options?.name ?? _getDefaultName(item.fields);
+    let byName = declared.get(item.collection);
+    if(!byName) {
+      declared.set(item.collection, byName = new Map());
+    }
+    byName.set(name, item);
+  }
+
+  for(const [collectionName, byName] of declared) {
+    const collection = collections[collectionName];
+    const live = new Map();
+    for(const index of await collection.listIndexes().toArray()) {
+      live.set(index.name, index);
+    }
+    for(const [name, item] of byName) {
+      const entry = {
+        collection: collectionName, name,
+        fields: item.fields, options: item.options ?? {}
+      };
+      const existing = live.get(name);
+      if(!existing) {
+        report.added.push(entry);
+      } else if(_isMatch({item, index: existing})) {
+        report.unchanged.push(entry);
+      } else {
+        report.changed.push({...entry, live: existing});
+      }
+    }
+    for(const [name, index] of live) {
+      if(name !== '_id_' && !byName.has(name)) {
+        report.extraneous.push({
+          collection: collectionName, name, fields: index.key, live: index
+        });
+      }
+    }
+  }
+
+  if(dryRun) {
+    return report;
+  }
+
+  for(const {collection, name} of report.extraneous) {
+    if(!dropExtraneous) {
+      logger.warn('extraneous index found', {collection, name});
+      continue;
+    }
+    logger.info('dropping extraneous index', {collection, name});
+    await collections[collection].dropIndex(name);
+  }
+  for(const {collection, name, fields, options} of report.changed) {
+    if(!rebuild) {
+      logger.warn('changed index found', {collection, name});
+      continue;
+    }
+    logger.info('rebuilding changed index', {collection, name});
+    await collections[collection].dropIndex(name);
+    await collections[collection].createIndex(fields, options);
+  }
+  await Promise.all(report.added.map(
+    async ({collection, fields, options}) =>
+      collections[collection].createIndex(fields, options)));
+
+  return report;
+}
+
+function _getDefaultName(fields) {
+  // matches the driver's default index naming
+  return Object.entries(fields).map(([k, v]) => `${k}_${v}`).join('_');
+}
+
+function _isMatch({item, index}) {
+  const options = item.options ?? {};
+
+  // text index keys are stored internally as `_fts`/`_ftsx`; compare them
+  // via their `weights` instead
+  const isText = Object.values(item.fields).includes('text');
+  if(!isText && !isDeepStrictEqual(
+    Object.entries(item.fields), Object.entries(index.key))) {
+    return false;
+  }
+
+  for(const option of COMPARED_OPTIONS) {
+    let expected = options[option];
+    let actual = index[option];
+    if(BOOLEAN_OPTIONS.has(option)) {
+      expected = !!expected;
+      actual = !!actual;
+    } else if(expected === undefined && DEFAULTED_OPTIONS.has(option)) {
+      continue;
+    } else if(option === 'collation') {
+      // the server fills in collation defaults; compare declared fields only
+      actual = Object.fromEntries(
+        Object.keys(expected).map(k => [k, index.collation?.[k]]));
+    }
+    if(!isDeepStrictEqual(expected, actual)) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,207 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {logger} from './logger.js';
+
+// commands whose collection is given via a field other than the command name
+const COLLECTION_FIELDS = {getMore: 'collection'};
+
+// commands that have started but not yet completed, by request ID
+const _started = new Map();
+// per-collection stats by namespace (`<database>.<collection>`)
+let _collections = new Map();
+// connection pool stats; `null` unless `poolStats` is enabled
+let _pool = null;
+
+/**
+ * Gets metrics for the operations performed via the shared client since
+ * the database was opened (or since `resetMetrics` was called).
+ *
+ * The `collections` object maps each namespace (`<database>.<collection>`)
+ * to its `operations` count, `errors` count (and `errorsByCode`), total and
+ * max `duration` (in ms), operation counts by `command`, and a latency
+ * `histogram` with `buckets` (upper bounds in ms, see
+ * `config.mongodb.instrumentation.latencyBuckets`) and `counts`; the last
+ * count is of operations that took longer than the largest bucket.
+ *
+ * If `config.mongodb.instrumentation.poolStats` is `true`, `pool` has
+ * connection pool (CMAP) stats: the number of connections `created`,
+ * `closed`, and currently `open` and `checkedOut`, plus counts of
+ * `checkOutFailures` and pool `clears`.
+ *
+ * @returns {object} The metrics with `collections` and `pool`.
+ */
+export function getMetrics() {
+  return {
+    collections: Object.fromEntries(
+      [..._collections].map(([ns, stats]) => [ns, structuredClone(stats)])),
+    pool: _pool && {..._pool}
+  };
+}
+
+/**
+ * Resets the metrics returned by `getMetrics`. Current pool stats such as
+ * the number of `open` connections are kept.
+ */
+export function resetMetrics() {
+  _collections = new Map();
+  if(_pool) {
+    Object.assign(_pool, {
+      created: 0, closed: 0, checkOutFailures: 0, clears: 0
+    });
+  }
+}
+
+// called from `_init` to instrument the shared client before it connects
+export function _startInstrumentation({client}) {
+  client.on('commandStarted', _onCommandStarted);
+  client.on('commandSucceeded', event => {
+    // write errors are reported in successful replies
+    const {writeErrors, writeConcernError} = event.reply ?? {};
+    _onCommandEnded({event, error: writeErrors?.[0] ?? writeConcernError});
+  });
+  client.on('commandFailed', event => _onCommandEnded({
+    event, error: event.failure
+  }));
+
+  if(!bedrock.config.mongodb.instrumentation.poolStats) {
+    return;
+  }
+  _pool = {
+    created: 0, closed: 0, open: 0, checkedOut: 0, checkOutFailures: 0,
+    clears: 0
+  };
+  client.on('connectionCreated', () => {
+    _pool.created++;
+    _pool.open++;
+  });
+  client.on('connectionClosed', () => {
+    _pool.closed++;
+    _pool.open--;
+  });
+  client.on('connectionCheckedOut', () => _pool.checkedOut++);
+  client.on('connectionCheckedIn', () => _pool.checkedOut--);
+  client.on('connectionCheckOutFailed', () => _pool.checkOutFailures++);
+  client.on('connectionPoolCleared', () => _pool.clears++);
+}
+
+// gets the name of the collection a command applies to, if any; also used
+// by `tracing.js`
+export function _getCommandCollection({commandName, command}) {
+  const collection = command[COLLECTION_FIELDS[commandName] ?? commandName];
+  return typeof collection === 'string' ? collection : undefined;
+}
+
+function _onCommandStarted({
+  requestId, commandName, command, databaseName
+}) {
+  const collection = _getCommandCollection({commandName, command});
+  if(collection === undefined) {
+    // not a collection-level command
+    return;
+  }
+  _started.set(requestId, {
+    commandName, collection, databaseName, filter: _getFilter(command)
+  });
+}
+
+function _onCommandEnded({event, error}) {
+  const started = _started.get(event.requestId);
+  if(!started) {
+    return;
+  }
+  _started.delete(event.requestId);
+
+  const {commandName, collection, databaseName, filter} = started;
+  const {duration} = event;
+  const stats = _getStats({ns: `${databaseName}.${collection}`});
+  stats.operations++;
+  stats.commands[commandName] = (stats.commands[commandName] ?? 0) + 1;
+  stats.duration.total += duration;
+  stats.duration.max = Math.max(stats.duration.max, duration);
+  const {buckets, counts} = stats.histogram;
+  const index = buckets.findIndex(bound => duration <= bound);
+  counts[index === -1 ? buckets.length : index]++;
+  if(error) {
+    stats.errors++;
+    const code = error.codeName ?? error.code ?? error.name;
+    stats.errorsByCode[code] = (stats.errorsByCode[code] ?? 0) + 1;
+  }
+
+  const {slowQueryThreshold} = bedrock.config.mongodb.instrumentation;
+  if(slowQueryThreshold !== null && duration >= slowQueryThreshold) {
+    logger.warn('slow database operation', {
+      database: databaseName, collection, command: commandName, duration,
+      filter: _sanitize(filter), failed: !!error
+    });
+  }
+}
+
+function _getStats({ns}) {
+  let stats = _collections.get(ns);
+  if(!stats) {
+    const buckets = [
+      ...bedrock.config.mongodb.instrumentation.latencyBuckets
+    ].sort((a, b) => a - b);
+    stats = {
+      operations: 0,
+      errors: 0,
+      errorsByCode: {},
+      commands: {},
+      duration: {total: 0, max: 0},
+      histogram: {buckets, counts: new Array(buckets.length + 1).fill(0)}
+    };
+    _collections.set(ns, stats);
+  }
+  return stats;
+}
+
+function _getFilter(command) {
+  if(command.filter) {
+    return command.filter;
+  }
+  if(command.query) {
+    // `count`, `distinct`, `findAndModify`
+    return command.query;
+  }
+  if(command.pipeline) {
+    return command.pipeline;
+  }
+  // `update` and `delete`
+  const statements = command.updates ?? command.deletes;
+  if(Array.isArray(statements)) {
+    return statements.map(({q}) => q);
+  }
+}
+
+// replaces every value in a filter with `?` so that it can be logged without
+// exposing data; keys (including operators) are kept
+function _sanitize(value) {
+  if(value === undefined) {
+    return undefined;
+  }
+  if(Array.isArray(value)) {
+    return value.map(_sanitize);
+  }
+  if(value && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, _sanitize(v)]));
+  }
+  return '?';
+}
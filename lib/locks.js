@@ -0,0 +1,181 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {collections, createIndexes, openCollections} from './index.js';
+import {_assertNotClosing} from './shutdown.js';
+import {isDuplicateError} from './helpers.js';
+import {randomUUID} from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Attempts to acquire the named lock. A lock is held until it is released
+ * or its `ttl` elapses without it being renewed. Each acquisition of a lock
+ * is assigned a fencing `token` that is greater than that of the previous
+ * acquisition (modulo wraparound, see `getNextUpdateId`); resources protected
+ * by the lock should reject writes with an older token.
+ *
+ * @param {string} name - The name of the lock.
+ * @param {object} [options={}] - The options to use.
+ * @param {number} [options.ttl] - How long (in ms) the lock is held unless it
+ *   is renewed; defaults to `config.mongodb.locks.ttl`.
+ *
+ * @returns {Promise<object|null>} Resolves to the lock (with `name`, `owner`,
+ *   `token`, and `expires`) or `null` if it is held by another owner.
+ */
+export async function acquireLock(name, {ttl} = {}) {
+  if(typeof name !== 'string') {
+    throw new TypeError('"name" must be a string.');
+  }
+  _assertNotClosing();
+  ttl = ttl ?? bedrock.config.mongodb.locks.ttl;
+  const {collection, fenceCollection} = await _getCollections();
+  const {writeOptions} = bedrock.config.mongodb;
+  const now = new Date();
+
+  const existing = await collection.findOne(
+    {'lock.name': name}, {projection: {_id: 0, lock: 1}});
+  if(existing?.lock.expires > now) {
+    return null;
+  }
+  const lock = {
+    name,
+    owner: randomUUID(),
+    token: await _getNextToken({
+      fenceCollection, name, previous: existing?.lock.token
+    }),
+    expires: new Date(now.getTime() + ttl)
+  };
+  try {
+    if(!existing) {
+      await collection.insertOne({meta: {created: now.getTime()}, lock},
+        writeOptions);
+      return lock;
+    }
+    const result = await collection.updateOne({
+      'lock.name': name,
+      'lock.owner': existing.lock.owner,
+      'lock.token': existing.lock.token
+    }, {$set: {lock}}, writeOptions);
+    return result.matchedCount > 0 ? lock : null;
+  } catch(e) {
+    // another owner acquired the lock first
+    if(isDuplicateError(e)) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Renews a lock, extending how long it is held.
+ *
+ * @param {object} lock - The lock returned from `acquireLock`.
+ * @param {object} [options={}] - The options to use.
+ * @param {number} [options.ttl] - How long (in ms) from now the lock is held
+ *   unless it is renewed again; defaults to `config.mongodb.locks.ttl`.
+ *
+ * @returns {Promise<object>} Resolves to the renewed lock.
+ */
+export async function renewLock(lock, {ttl} = {}) {
+  _assertNotClosing();
+  ttl = ttl ?? bedrock.config.mongodb.locks.ttl;
+  const {collection} = await _getCollections();
+  const expires = new Date(Date.now() + ttl);
+  const result = await collection.updateOne({
+    'lock.name': lock.name,
+    'lock.owner': lock.owner,
+    'lock.token': lock.token,
+    'lock.expires': {$gt: new Date()}
+  }, {$set: {'lock.expires': expires}}, bedrock.config.mongodb.writeOptions);
+  if(result.matchedCount === 0) {
+    throw new BedrockError(`Lock "${lock.name}" is no longer held.`, {
+      name: 'InvalidStateError',
+      details: {name: lock.name, token: lock.token}
+    });
+  }
+  return {...lock, expires};
+}
+
+/**
+ * Releases a lock so that it may be acquired by another owner.
+ *
+ * @param {object} lock - The lock returned from `acquireLock`.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the lock was released
+ *   or `false` if it was no longer held.
+ */
+export async function releaseLock(lock) {
+  const {collection} = await _getCollections();
+  const result = await collection.updateOne({
+    'lock.name': lock.name,
+    'lock.owner': lock.owner,
+    'lock.token': lock.token
+  }, {$set: {'lock.expires': new Date()}},
+  bedrock.config.mongodb.writeOptions);
+  return result.matchedCount > 0;
+}
+
+// fencing tokens are kept in records that are never removed so that a
+// lock's tokens keep increasing even after its (expired) record is removed
+async function _getNextToken({fenceCollection, name, previous = -1}) {
+  // seed a new fence record with the token of any existing lock record
+  const token = {$ifNull: ['$fence.token', previous]};
+  const {fence} = await fenceCollection.findOneAndUpdate(
+    {'fence.name': name}, [{
+      $set: {
+        // equivalent to `getNextUpdateId`
+        'fence.token': {
+          $cond: [{$lt: [token, 0xffffffff]}, {$add: [token, 1]}, 0]
+        }
+      }
+    }], {
+      ...bedrock.config.mongodb.writeOptions,
+      upsert: true,
+      returnDocument: 'after',
+      projection: {_id: 0, fence: 1}
+    });
+  return fence.token;
+}
+
+async function _getCollections() {
+  const {
+    collection, fenceCollection, expireAfterSeconds
+  } = bedrock.config.mongodb.locks;
+  if(!(collections[collection] && collections[fenceCollection])) {
+    await openCollections([collection, fenceCollection]);
+    await createIndexes([{
+      collection,
+      fields: {'lock.name': 1},
+      options: {unique: true}
+    }, {
+      // remove long expired locks (their fencing tokens are kept)
+      collection,
+      fields: {'lock.expires': 1},
+      options: {expireAfterSeconds}
+    }, {
+      collection: fenceCollection,
+      fields: {'fence.name': 1},
+      options: {unique: true}
+    }]);
+  }
+  return {
+    collection: collections[collection],
+    fenceCollection: collections[fenceCollection]
+  };
+}
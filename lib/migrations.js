@@ -0,0 +1,356 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {collections, createIndexes, db, openCollections} from './index.js';
+import {_assertNotClosing} from './shutdown.js';
+import {isDuplicateError} from './helpers.js';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
+import {setTimeout} from 'node:timers/promises';
+
+const {util: {BedrockError}} = bedrock;
+
+// registered migrations, in the order they were registered
+const _migrations = [];
+const _migrationNames = new Set();
+
+/**
+ * Registers a migration. Migrations are applied in the order in which they
+ * are registered, so a module should register all of its migrations (in
+ * order) when it is loaded.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The unique name of the migration, typically
+ *   prefixed with the name of the module that registers it.
+ * @param {Function} options.up - An async function that receives `{db}` and
+ *   applies the migration.
+ * @param {Function} [options.down] - An async function that receives `{db}`
+ *   and reverts the migration.
+ */
+export function registerMigration({name, up, down} = {}) {
+  if(typeof name !== 'string') {
+    throw new TypeError('"name" must be a string.');
+  }
+  if(typeof up !== 'function') {
+    throw new TypeError('"up" must be a function.');
+  }
+  if(down !== undefined && typeof down !== 'function') {
+    throw new TypeError('"down" must be a function.');
+  }
+  if(_migrationNames.has(name)) {
+    throw new BedrockError(`Migration "${name}" is already registered.`, {
+      name: 'DuplicateError',
+      details: {name}
+    });
+  }
+  _migrationNames.add(name);
+  _migrations.push({name, up, down});
+}
+
+/**
+ * Gets the status of every registered migration.
+ *
+ * @returns {Promise<object>} Resolves to an object with `applied` and
+ *   `pending` arrays; each element has the migration `name` and applied
+ *   migrations also include when they were `applied`.
+ */
+export async function getMigrationStatus() {
+  _assertNotClosing();
+  const records = await _getRecords();
+  const applied = [];
+  const pending = [];
+  for(const {name} of _migrations) {
+    const record = records.get(name);
+    if(record?.migration.state === 'applied') {
+      applied.push({name, applied: record.meta.updated});
+    } else {
+      pending.push({name});
+    }
+  }
+  return {applied, pending};
+}
+
+/**
+ * Applies any registered migrations that have not yet been applied. This is
+ * called automatically on `bedrock.init` (once per cluster) unless
+ * `config.mongodb.migrations.runOnInit` is `false`.
+ *
+ * @returns {Promise<Array>} Resolves to the names of the migrations that
+ *   were applied.
+ */
+export async function runMigrations() {
+  _assertNotClosing();
+  const records = await _getRecords();
+  const applied = [];
+  for(const migration of _migrations) {
+    if(records.get(migration.name)?.migration.state === 'applied') {
+      continue;
+    }
+    if(await _apply({migration})) {
+      applied.push(migration.name);
+    }
+  }
+  return applied;
+}
+
+/**
+ * Reverts the most recently applied migrations, in reverse order. Each
+ * migration is claimed while it is reverted so that it is only reverted by
+ * one node; a migration that another node reverts meanwhile counts toward
+ * `count` but is not included in the result.
+ *
+ * @param {object} [options={}] - The options to use.
+ * @param {number} [options.count=1] - The number of migrations to revert.
+ *
+ * @returns {Promise<Array>} Resolves to the names of the migrations that
+ *   were reverted.
+ */
+export async function revertMigrations({count = 1} = {}) {
+  _assertNotClosing();
+  const records = await _getRecords();
+  const reverted = [];
+  let remaining = count;
+  for(let i = _migrations.length - 1; i >= 0 && remaining > 0; --i) {
+    const migration = _migrations[i];
+    if(records.get(migration.name)?.migration.state !== 'applied') {
+      continue;
+    }
+    if(!migration.down) {
+      throw new BedrockError(
+        `Migration "${migration.name}" cannot be reverted.`, {
+          name: 'NotSupportedError',
+          details: {name: migration.name}
+        });
+    }
+    remaining--;
+    if(await _revert({migration})) {
+      reverted.push(migration.name);
+    }
+  }
+  return reverted;
+}
+
+// called from `_init` once the database is open
+export async function _initMigrations() {
+  await _openMigrationCollection();
+  if(bedrock.config.mongodb.migrations.runOnInit) {
+    await bedrock.runOnce('bedrock-mongodb.migrations', runMigrations);
+  }
+}
+
+// called when the database is opened or changed (see `isolateDatabase`)
+export async function _openMigrationCollection() {
+  const {collection} = bedrock.config.mongodb.migrations;
+  await openCollections([collection]);
+  await createIndexes([{
+    collection,
+    fields: {'migration.name': 1},
+    options: {unique: true}
+  }]);
+}
+
+async function _apply({migration}) {
+  const {name} = migration;
+  const collection = _getCollection();
+  const {writeOptions} = bedrock.config.mongodb;
+
+  // claim the migration so that no other node applies it concurrently
+  const owner = randomUUID();
+  if(!await _claim({name, owner})) {
+    // applied by another node
+    return false;
+  }
+
+  const renewal = _renewClaim({name, owner});
+  logger.info(`applying migration: ${name}`);
+  try {
+    await migration.up({db});
+  } catch(e) {
+    logger.error(`migration failed: ${name}`, {error: e});
+    // release claim so the migration can be retried
+    await collection.deleteOne(
+      {'migration.name': name, 'migration.owner': owner}, writeOptions);
+    throw new BedrockError(`Migration "${name}" failed.`, {
+      name: 'OperationError',
+      details: {name},
+      cause: e
+    });
+  } finally {
+    clearInterval(renewal);
+  }
+  const result = await collection.updateOne(
+    {'migration.name': name, 'migration.owner': owner}, {
+      $set: {'meta.updated': Date.now(), 'migration.state': 'applied'},
+      $unset: {'migration.owner': '', 'migration.expires': ''}
+    }, writeOptions);
+  if(result.matchedCount === 0) {
+    // the lease expired and another node took over the migration
+    throw new BedrockError(
+      `Migration "${name}" was taken over by another node.`, {
+        name: 'InvalidStateError',
+        details: {name}
+      });
+  }
+  logger.info(`migration applied: ${name}`);
+  return true;
+}
+
+async function _revert({migration}) {
+  const {name} = migration;
+  const collection = _getCollection();
+  const {writeOptions} = bedrock.config.mongodb;
+
+  // claim the applied migration so that no other node reverts it concurrently
+  const owner = randomUUID();
+  if(!await _claimApplied({name, owner})) {
+    // reverted by another node
+    return false;
+  }
+
+  const renewal = _renewClaim({name, owner});
+  logger.info(`reverting migration: ${name}`);
+  try {
+    await migration.down({db});
+  } catch(e) {
+    // release claim so the revert can be retried
+    await collection.updateOne(
+      {'migration.name': name, 'migration.owner': owner},
+      {$unset: {'migration.owner': '', 'migration.expires': ''}},
+      writeOptions);
+    throw e;
+  } finally {
+    clearInterval(renewal);
+  }
+  const result = await collection.deleteOne(
+    {'migration.name': name, 'migration.owner': owner}, writeOptions);
+  if(result.deletedCount === 0) {
+    // the lease expired and another node took over the revert
+    throw new BedrockError(
+      `Migration "${name}" was taken over by another node.`, {
+        name: 'InvalidStateError',
+        details: {name}
+      });
+  }
+  logger.info(`migration reverted: ${name}`);
+  return true;
+}
+
+// renews a claim while its migration runs so that it is only taken over by
+// another node if this one stops; returns the interval to clear when done
+function _renewClaim({name, owner}) {
+  const {writeOptions} = bedrock.config.mongodb;
+  const {leaseTtl} = bedrock.config.mongodb.migrations;
+  const renewal = setInterval(() => {
+    _getCollection().updateOne(
+      {'migration.name': name, 'migration.owner': owner},
+      {$set: {'migration.expires': Date.now() + leaseTtl}},
+      writeOptions).catch(error => logger.error(
+      `failed to renew migration claim: ${name}`, {error}));
+  }, Math.ceil(leaseTtl / 3));
+  renewal.unref();
+  return renewal;
+}
+
+// claims a migration via a lease that is taken over if it expires (e.g.,
+// because the node that held it stopped) and waits while another node holds
+// it; resolves to `false` if the migration was applied by another node
+async function _claim({name, owner}) {
+  const collection = _getCollection();
+  const {writeOptions} = bedrock.config.mongodb;
+  const {leaseTtl, pollInterval} = bedrock.config.mongodb.migrations;
+  while(true) {
+    const now = Date.now();
+    const migration = {name, state: 'pending', owner, expires: now + leaseTtl};
+    try {
+      await collection.insertOne({
+        meta: {created: now, updated: now},
+        migration
+      }, writeOptions);
+      return true;
+    } catch(e) {
+      if(!isDuplicateError(e)) {
+        throw e;
+      }
+    }
+    const record = await collection.findOne({'migration.name': name});
+    if(record?.migration.state === 'applied') {
+      // applied elsewhere since status was read
+      return false;
+    }
+    // records without `expires` were claimed without a lease
+    if(record && !(record.migration.expires > now)) {
+      logger.info(`taking over expired migration claim: ${name}`);
+      const result = await collection.updateOne({
+        'migration.name': name,
+        'migration.state': 'pending',
+        'migration.owner': record.migration.owner ?? null,
+        'migration.expires': record.migration.expires ?? null
+      }, {
+        $set: {'meta.updated': now, migration}
+      }, writeOptions);
+      if(result.matchedCount > 0) {
+        return true;
+      }
+      continue;
+    }
+    if(record) {
+      logger.info(`waiting for migration on another node: ${name}`);
+      await setTimeout(pollInterval);
+    }
+  }
+}
+
+// claims an applied migration (to revert it) via a lease that is taken over
+// if it expires and waits while another node holds it; resolves to `false`
+// if the migration was reverted by another node
+async function _claimApplied({name, owner}) {
+  const collection = _getCollection();
+  const {writeOptions} = bedrock.config.mongodb;
+  const {leaseTtl, pollInterval} = bedrock.config.mongodb.migrations;
+  while(true) {
+    const now = Date.now();
+    const result = await collection.updateOne({
+      'migration.name': name,
+      'migration.state': 'applied',
+      // unclaimed (no `expires`) or the claim has expired
+      'migration.expires': {$not: {$gt: now}}
+    }, {
+      // `meta.updated` is when the migration was applied and is kept
+      $set: {'migration.owner': owner, 'migration.expires': now + leaseTtl}
+    }, writeOptions);
+    if(result.matchedCount > 0) {
+      return true;
+    }
+    const record = await collection.findOne({'migration.name': name});
+    if(record?.migration.state !== 'applied') {
+      return false;
+    }
+    logger.info(`waiting for migration revert on another node: ${name}`);
+    await setTimeout(pollInterval);
+  }
+}
+
+async function _getRecords() {
+  const records = await _getCollection().find(
+    {}, {projection: {_id: 0}}).toArray();
+  return new Map(records.map(r => [r.migration.name, r]));
+}
+
+function _getCollection() {
+  return collections[bedrock.config.mongodb.migrations.collection];
+}
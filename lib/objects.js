@@ -0,0 +1,66 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Gets the value at a dot-delimited path in an object.
+ *
+ * @param {object} obj - The object.
+ * @param {string} path - The dot-delimited path.
+ *
+ * @returns {*} The value or `undefined` if there is none.
+ */
+export function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+/**
+ * Sets the value at a dot-delimited path in an object. The objects and arrays
+ * along the path are copied (and any other values are replaced with new
+ * objects) so that objects shared with other documents are not modified;
+ * only `obj` itself is modified.
+ *
+ * @param {object} obj - The object.
+ * @param {string} path - The dot-delimited path.
+ * @param {*} value - The value to set.
+ */
+export function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  for(const key of keys) {
+    const next = obj[key];
+    obj = obj[key] = Array.isArray(next) ? [...next] :
+      isPlainObject(next) ? {...next} : {};
+  }
+  obj[last] = value;
+}
+
+/**
+ * Returns true if the given value is a plain object, i.e., not an array,
+ * date, BSON value, or other class instance.
+ *
+ * @param {*} value - The value to check.
+ *
+ * @returns {boolean} True if the value is a plain object, false if not.
+ */
+export function isPlainObject(value) {
+  if(!(value && typeof value === 'object')) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
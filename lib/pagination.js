@@ -0,0 +1,185 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {_assertNotClosing} from './shutdown.js';
+import {BSON} from 'mongodb';
+import crypto from 'node:crypto';
+import {getPath} from './objects.js';
+
+const {util: {BedrockError}} = bedrock;
+const {EJSON} = BSON;
+
+/**
+ * Gets a page of records using keyset (seek) pagination. Records are sorted
+ * by `sort` with `_id` appended as a tiebreaker (if not already present) and
+ * each page is found by seeking past the sort key values of the last record
+ * of the previous page, so the cost of getting a page does not grow with its
+ * position. Every sort field should exist in every matching record.
+ *
+ * The returned `cursor` is an opaque base64url-encoded token that is bound to
+ * `query` and `sort` and signed using `config.mongodb.pagination.cursorSecret`
+ * so that tampering can be detected; an `InvalidStateError` is thrown if no
+ * secret is configured. The values of the sort fields must be scalars (e.g.,
+ * strings, numbers, dates, or ObjectIds), not objects or arrays.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.collection - The collection to query.
+ * @param {object} [options.query={}] - The query.
+ * @param {object} [options.sort={}] - The sort specification, e.g.,
+ *   `{'meta.created': -1}`.
+ * @param {number} [options.limit] - The max number of records to return;
+ *   defaults to `config.mongodb.pagination.defaultLimit`.
+ * @param {string} [options.after] - The `cursor` from the previous page.
+ * @param {object} [options.projection] - A projection; it must include every
+ *   sort field.
+ *
+ * @returns {Promise<object>} Resolves to `{records, cursor}` where `cursor`
+ *   is `null` if there are no more records.
+ */
+export async function paginate({
+  collection, query = {}, sort = {}, limit, after, projection
+} = {}) {
+  const config = bedrock.config.mongodb.pagination;
+  limit = limit ?? config.defaultLimit;
+  if(!(Number.isInteger(limit) && limit > 0 && limit <= config.maxLimit)) {
+    throw new TypeError(
+      `"limit" must be an integer from 1 to ${config.maxLimit}.`);
+  }
+  _assertNotClosing();
+
+  const keys = Object.entries(sort);
+  if(!('_id' in sort)) {
+    keys.push(['_id', 1]);
+  }
+  const hash = _hashQuery({query, sort: keys});
+
+  let filter = query;
+  if(after !== undefined) {
+    const values = _parseCursor({cursor: after, hash, length: keys.length});
+    filter = {$and: [query, _getSeekFilter({keys, values})]};
+  }
+
+  const records = await collection.find(filter, {projection})
+    .sort(keys)
+    .limit(limit + 1)
+    .toArray();
+
+  let cursor = null;
+  if(records.length > limit) {
+    records.length = limit;
+    const last = records[limit - 1];
+    const values = keys.map(([key]) => getPath(last, key) ?? null);
+    cursor = _createCursor({values, hash});
+  }
+  return {records, cursor};
+}
+
+function _getSeekFilter({keys, values}) {
+  // records after the cursor: for some sort key, all previous keys are equal
+  // and that key is past the cursor value in the sort direction
+  const $or = [];
+  for(let i = 0; i < keys.length; ++i) {
+    const clause = {};
+    for(let j = 0; j < i; ++j) {
+      clause[keys[j][0]] = values[j];
+    }
+    const [key, direction] = keys[i];
+    clause[key] = {[direction < 0 ? '$lt' : '$gt']: values[i]};
+    $or.push(clause);
+  }
+  return {$or};
+}
+
+function _createCursor({values, hash}) {
+  const payload = Buffer.from(
+    EJSON.stringify({v: values, h: hash}, {relaxed: false}))
+    .toString('base64url');
+  return `${payload}.${_sign(payload)}`;
+}
+
+function _parseCursor({cursor, hash, length}) {
+  try {
+    if(typeof cursor !== 'string') {
+      throw new TypeError('Cursor must be a string.');
+    }
+    const [payload, signature, ...rest] = cursor.split('.');
+    if(rest.length > 0 || !_verify({payload, signature})) {
+      throw new Error('Invalid cursor signature.');
+    }
+    const {v, h} = EJSON.parse(
+      Buffer.from(payload, 'base64url').toString('utf8'), {relaxed: false});
+    if(h !== hash) {
+      throw new Error('Cursor does not match query or sort.');
+    }
+    // only scalar values are allowed so that a value cannot be an operator
+    // expression such as `{$ne: null}`
+    if(!(Array.isArray(v) && v.length === length && v.every(_isScalar))) {
+      throw new Error('Invalid cursor values.');
+    }
+    return v;
+  } catch(e) {
+    if(e.name === 'InvalidStateError') {
+      throw e;
+    }
+    throw new BedrockError('Invalid pagination cursor.', {
+      name: 'DataError',
+      details: {httpStatusCode: 400, public: true},
+      cause: e
+    });
+  }
+}
+
+function _isScalar(value) {
+  if(value === null || ['boolean', 'number', 'string'].includes(typeof value)) {
+    return true;
+  }
+  // dates and BSON values (e.g., ObjectIds) are class instances
+  if(typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto !== Object.prototype && proto !== null;
+}
+
+function _sign(payload) {
+  const {cursorSecret} = bedrock.config.mongodb.pagination;
+  if(!cursorSecret) {
+    // fail closed; unsigned cursors could be forged
+    throw new BedrockError(
+      '"config.mongodb.pagination.cursorSecret" must be set to use ' +
+      'pagination cursors.', {name: 'InvalidStateError'});
+  }
+  return crypto.createHmac('sha256', cursorSecret)
+    .update(payload, 'utf8').digest('base64url');
+}
+
+function _verify({payload, signature}) {
+  const expected = _sign(payload);
+  if(typeof signature !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(signature);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function _hashQuery({query, sort}) {
+  return crypto.createHash('sha256')
+    .update(EJSON.stringify({query, sort}, {relaxed: false}), 'utf8')
+    .digest('base64url');
+}
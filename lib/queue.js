@@ -0,0 +1,263 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {collections, createIndexes, openCollections} from './index.js';
+import {_assertNotClosing} from './shutdown.js';
+import {isDuplicateError} from './helpers.js';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
+import {setTimeout} from 'node:timers/promises';
+
+// active queue workers
+const _workers = new Set();
+
+/**
+ * Adds a job to a queue.
+ *
+ * @param {string} queue - The name of the queue.
+ * @param {*} payload - The job payload; it must be storable in MongoDB.
+ * @param {object} [options={}] - The options to use.
+ * @param {Date|number} [options.runAt=Date.now()] - When to run the job.
+ * @param {number} [options.priority=0] - The job priority; jobs with a
+ *   higher priority that are ready to run are run first.
+ * @param {number} [options.maxAttempts] - The maximum number of times to
+ *   attempt the job before moving it to the dead-letter collection; defaults
+ *   to `config.mongodb.queue.maxAttempts`.
+ *
+ * @returns {Promise<object>} Resolves to `{id}` with the ID of the job.
+ */
+export async function enqueue(queue, payload, {
+  runAt = Date.now(), priority = 0, maxAttempts
+} = {}) {
+  if(typeof queue !== 'string') {
+    throw new TypeError('"queue" must be a string.');
+  }
+  _assertNotClosing();
+  const config = bedrock.config.mongodb;
+  const {jobs} = await _getCollections();
+  const now = Date.now();
+  const id = randomUUID();
+  await jobs.insertOne({
+    meta: {created: now, updated: now},
+    job: {
+      id, queue, payload, priority,
+      runAt: new Date(runAt),
+      attempts: 0,
+      maxAttempts: maxAttempts ?? config.queue.maxAttempts,
+      claim: null,
+      lastError: null
+    }
+  }, config.writeOptions);
+  return {id};
+}
+
+/**
+ * Starts a worker that processes jobs from a queue. Jobs are claimed
+ * atomically so each is processed by a single worker at a time. A claimed job
+ * is hidden from other workers for `config.mongodb.queue.visibilityTimeout`
+ * ms, which is extended while its handler runs; if the worker dies, the job
+ * becomes visible again once that time elapses. Jobs whose handler throws are
+ * retried with exponential backoff and, once they have been attempted
+ * `maxAttempts` times, moved to the dead-letter collection.
+ *
+ * @param {string} queue - The name of the queue.
+ * @param {Function} handler - An async function that receives the job
+ *   `payload` and `{job}` with the whole job.
+ * @param {object} [options={}] - The options to use.
+ * @param {number} [options.concurrency=1] - The number of jobs to process
+ *   concurrently.
+ *
+ * @returns {object} The worker, with a `stop` function that stops claiming
+ *   jobs and resolves once in-progress jobs are done.
+ */
+export function startQueueWorker(queue, handler, {concurrency = 1} = {}) {
+  if(typeof queue !== 'string') {
+    throw new TypeError('"queue" must be a string.');
+  }
+  if(typeof handler !== 'function') {
+    throw new TypeError('"handler" must be a function.');
+  }
+  _assertNotClosing();
+  const worker = {
+    queue, handler, stopped: false, abortController: new AbortController()
+  };
+  const loops = [];
+  for(let i = 0; i < concurrency; ++i) {
+    loops.push(_run(worker));
+  }
+  worker.done = Promise.all(loops);
+  worker.stop = async () => {
+    worker.stopped = true;
+    worker.abortController.abort();
+    _workers.delete(worker);
+    await worker.done;
+  };
+  _workers.add(worker);
+  return {stop: worker.stop};
+}
+
+// called when shutting down
+export async function _stopQueueWorkers() {
+  await Promise.all([..._workers].map(worker => worker.stop()));
+}
+
+async function _run(worker) {
+  const {pollInterval} = bedrock.config.mongodb.queue;
+  while(!worker.stopped) {
+    let job;
+    try {
+      job = await _claim(worker);
+      if(job) {
+        await _process({worker, job});
+      }
+    } catch(error) {
+      logger.error('queue worker error', {queue: worker.queue, error});
+    }
+    if(!job && !worker.stopped) {
+      await setTimeout(pollInterval, undefined, {
+        signal: worker.abortController.signal
+      }).catch(() => {});
+    }
+  }
+}
+
+async function _claim(worker) {
+  const config = bedrock.config.mongodb;
+  const {jobs} = await _getCollections();
+  const now = Date.now();
+  const record = await jobs.findOneAndUpdate({
+    'job.queue': worker.queue,
+    'job.runAt': {$lte: new Date(now)}
+  }, {
+    $set: {
+      'meta.updated': now,
+      // hide the job from other workers until the visibility timeout
+      'job.runAt': new Date(now + config.queue.visibilityTimeout),
+      'job.claim': randomUUID()
+    },
+    $inc: {'job.attempts': 1}
+  }, {
+    sort: {'job.priority': -1, 'job.runAt': 1},
+    returnDocument: 'after',
+    writeConcern: config.writeOptions.writeConcern
+  });
+  return record?.job ?? null;
+}
+
+async function _process({worker, job}) {
+  const config = bedrock.config.mongodb;
+  const {visibilityTimeout} = config.queue;
+  const {jobs} = await _getCollections();
+  const filter = {'job.id': job.id, 'job.claim': job.claim};
+
+  // extend the visibility timeout while the handler runs
+  const timer = setInterval(() => {
+    const now = Date.now();
+    jobs.updateOne(filter, {
+      $set: {
+        'meta.updated': now,
+        'job.runAt': new Date(now + visibilityTimeout)
+      }
+    }).catch(error => logger.error('failed to extend job visibility', {
+      queue: job.queue, id: job.id, error
+    }));
+  }, visibilityTimeout / 2);
+  timer.unref();
+
+  let error;
+  try {
+    await worker.handler(job.payload, {job});
+  } catch(e) {
+    error = e;
+  } finally {
+    clearInterval(timer);
+  }
+
+  if(!error) {
+    await jobs.deleteOne(filter, config.writeOptions);
+    return;
+  }
+
+  const lastError = {name: error.name, message: error.message};
+  if(job.attempts >= job.maxAttempts) {
+    logger.error('job failed; moving to dead-letter collection', {
+      queue: job.queue, id: job.id, error
+    });
+    await _moveToDeadLetter({job: {...job, lastError}});
+    return;
+  }
+  logger.debug('job failed; retrying', {
+    queue: job.queue, id: job.id, attempts: job.attempts, error
+  });
+  const now = Date.now();
+  await jobs.updateOne(filter, {
+    $set: {
+      'meta.updated': now,
+      'job.runAt': new Date(now + _getRetryDelay(job.attempts)),
+      'job.claim': null,
+      'job.lastError': lastError
+    }
+  }, config.writeOptions);
+}
+
+async function _moveToDeadLetter({job}) {
+  const {writeOptions} = bedrock.config.mongodb;
+  const {jobs, deadJobs} = await _getCollections();
+  const now = Date.now();
+  try {
+    await deadJobs.insertOne(
+      {meta: {created: now, updated: now}, job}, writeOptions);
+  } catch(e) {
+    // ignore if already moved by a previous attempt
+    if(!isDuplicateError(e)) {
+      throw e;
+    }
+  }
+  await jobs.deleteOne({'job.id': job.id, 'job.claim': job.claim},
+    writeOptions);
+}
+
+function _getRetryDelay(attempts) {
+  const {retryDelay, maxRetryDelay} = bedrock.config.mongodb.queue;
+  return Math.min(retryDelay * (2 ** (attempts - 1)), maxRetryDelay);
+}
+
+async function _getCollections() {
+  const {collection, deadLetterCollection} = bedrock.config.mongodb.queue;
+  if(!(collections[collection] && collections[deadLetterCollection])) {
+    await openCollections([collection, deadLetterCollection]);
+    await createIndexes([{
+      collection,
+      fields: {'job.id': 1},
+      options: {unique: true}
+    }, {
+      // used to claim the next job
+      collection,
+      fields: {'job.queue': 1, 'job.priority': -1, 'job.runAt': 1},
+      options: {}
+    }, {
+      collection: deadLetterCollection,
+      fields: {'job.id': 1},
+      options: {unique: true}
+    }]);
+  }
+  return {
+    jobs: collections[collection],
+    deadJobs: collections[deadLetterCollection]
+  };
+}
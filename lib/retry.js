@@ -0,0 +1,87 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {isAuthenticationError} from './helpers.js';
+import {logger} from './logger.js';
+import {setTimeout} from 'node:timers/promises';
+
+// errors are identified by name as they may have been serialized (e.g., when
+// thrown by `bedrock.runOnce` in another worker)
+// errors that indicate the database is not yet available
+const RETRYABLE_ERROR_NAMES = new Set([
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError'
+]);
+// errors that are never retried, even if caused by a retryable error
+const FATAL_ERROR_NAMES = new Set(['VersionError']);
+
+/**
+ * Calls the given function, retrying it with exponential backoff (see
+ * `config.mongodb.startupRetry`) while it fails with an error that indicates
+ * the database is not yet available, i.e., a network or server selection
+ * error. Any other error, such as an authentication error or an unsupported
+ * server version, is thrown immediately.
+ *
+ * @private
+ * @param {Function} fn - The async function to call.
+ * @param {object} options - The options to use.
+ * @param {string} options.operation - A description of the operation for
+ *   logging.
+ *
+ * @returns {Promise} Resolves to the result of `fn`.
+ */
+export async function _retryStartup(fn, {operation}) {
+  const {
+    maxAttempts, initialDelay, backoffFactor, maxDelay, jitter, deadline
+  } = bedrock.config.mongodb.startupRetry;
+  const end = deadline === null ? Infinity : Date.now() + deadline;
+  let delay = initialDelay;
+  for(let attempt = 1; ; ++attempt) {
+    try {
+      return await fn();
+    } catch(e) {
+      // apply +/- `jitter` (a fraction of the delay) so that many nodes
+      // starting at once do not retry in lockstep
+      const wait = Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)));
+      if(attempt >= maxAttempts || !_isRetryableError(e) ||
+        Date.now() + wait >= end) {
+        throw e;
+      }
+      logger.warn(`${operation} failed; retrying`, {
+        attempt, maxAttempts, delay: wait, error: e
+      });
+      await setTimeout(wait);
+      delay = Math.min(delay * backoffFactor, maxDelay);
+    }
+  }
+}
+
+function _isRetryableError(error) {
+  // errors may be wrapped in `BedrockError`s; check every cause
+  let retryable = false;
+  for(let e = error; e; e = e.cause) {
+    if(isAuthenticationError(e) || FATAL_ERROR_NAMES.has(e.name)) {
+      return false;
+    }
+    if(RETRYABLE_ERROR_NAMES.has(e.name)) {
+      retryable = true;
+    }
+  }
+  return retryable;
+}
@@ -0,0 +1,89 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {getPath, setPath} from './objects.js';
+import {_assertNotClosing} from './shutdown.js';
+import {getNextUpdateId} from './helpers.js';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Performs a compare-and-swap update of a single record using a sequence
+ * field. The record matching `query` is read and passed to `mutate`, which
+ * must return the new record. The new record replaces the existing one only
+ * if the sequence field has not changed since it was read; its sequence is
+ * set to the next update ID (see `getNextUpdateId`). If another writer has
+ * changed the record, the read-modify-write is retried.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.collection - The collection with the record.
+ * @param {object} options.query - The query that identifies the record.
+ * @param {Function} options.mutate - A function that receives the current
+ *   record (which it may modify) and returns (or resolves to) the new record.
+ * @param {string} [options.sequenceField='sequence'] - The dot-delimited
+ *   path to the sequence field.
+ * @param {number} [options.maxRetries=10] - The maximum number of times to
+ *   retry after a conflicting update.
+ *
+ * @returns {Promise<object>} Resolves to `{record}` with the new record.
+ */
+export async function updateWithSequence({
+  collection, query, mutate, sequenceField = 'sequence', maxRetries = 10
+} = {}) {
+  if(typeof mutate !== 'function') {
+    throw new TypeError('"mutate" must be a function.');
+  }
+  _assertNotClosing();
+  const {writeOptions} = bedrock.config.mongodb;
+  for(let attempt = 0; attempt <= maxRetries; ++attempt) {
+    const existing = await collection.findOne(query);
+    if(!existing) {
+      throw new BedrockError('Record not found.', {
+        name: 'NotFoundError',
+        details: {collection: collection.collectionName}
+      });
+    }
+    const {_id} = existing;
+    delete existing._id;
+    const sequence = getPath(existing, sequenceField);
+    // `existing` is a fresh object from `findOne`, so it need not be copied
+    // (copying via `structuredClone` would also lose BSON types)
+    const record = await mutate(existing);
+    if(!(record && typeof record === 'object')) {
+      throw new TypeError('"mutate" must return an object.');
+    }
+    delete record._id;
+    setPath(record, sequenceField,
+      sequence === undefined ? 0 : getNextUpdateId(sequence));
+
+    const result = await collection.replaceOne(
+      {_id, [sequenceField]: sequence ?? null}, record, writeOptions);
+    if(result.matchedCount > 0) {
+      return {record};
+    }
+    logger.debug('sequence conflict, retrying update', {
+      collection: collection.collectionName, attempt
+    });
+  }
+  throw new BedrockError(
+    'Could not update record; the record was concurrently modified.', {
+      name: 'InvalidStateError',
+      details: {collection: collection.collectionName, maxRetries}
+    });
+}
@@ -0,0 +1,97 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {logger} from './logger.js';
+import {setTimeout} from 'node:timers/promises';
+
+const {util: {BedrockError}} = bedrock;
+
+// number of commands sent to the database that have not yet completed
+let _inFlight = 0;
+let _closing = false;
+
+/**
+ * Throws if the database is closing so that no new operations are started
+ * during shutdown.
+ *
+ * @private
+ */
+export function _assertNotClosing() {
+  if(_closing) {
+    throw new BedrockError('Database is closing.', {
+      name: 'InvalidStateError'
+    });
+  }
+}
+
+// exported for testing
+export function _setClosing(closing) {
+  _closing = closing;
+}
+
+// called from `_init` to track in-flight operations on the shared client
+export function _trackOperations({client}) {
+  client.on('commandStarted', () => _inFlight++);
+  client.on('commandSucceeded', () => _inFlight--);
+  client.on('commandFailed', () => _inFlight--);
+}
+
+/**
+ * Closes the database clients: stops accepting new operations through this
+ * module's API, waits up to `config.mongodb.shutdown.drainTimeout` ms for
+ * in-flight operations to complete, and then closes the clients (which closes
+ * any open cursors).
+ *
+ * @private
+ * @param {object} options - The options to use.
+ * @param {Array} options.clients - The clients to close.
+ *
+ * @returns {Promise} Resolves once the clients are closed.
+ */
+export async function _close({clients}) {
+  if(_closing) {
+    return;
+  }
+  _closing = true;
+
+  const {drainTimeout} = bedrock.config.mongodb.shutdown;
+  const deadline = Date.now() + drainTimeout;
+  if(_inFlight > 0) {
+    logger.info('waiting for in-flight database operations', {
+      operations: _inFlight
+    });
+  }
+  while(_inFlight > 0 && Date.now() < deadline) {
+    await setTimeout(50);
+  }
+  if(_inFlight > 0) {
+    logger.warn('closing database with in-flight operations', {
+      operations: _inFlight
+    });
+  }
+
+  await Promise.all(clients.map(async client => {
+    try {
+      await client.close();
+      logger.info('database closed');
+    } catch(error) {
+      logger.error('failed to close database', {error});
+    }
+  }));
+  await bedrock.events.emit('bedrock-mongodb.closed');
+}
@@ -1,5 +1,5 @@
 /*!
- * Copyright 2012 - 2024 Digital Bazaar, Inc.
+ * Copyright 2012 - 2025 Digital Bazaar, Inc.
  *
  * Licensed under the Apache License, Version 2.0 (the "License");
  * you may not use this file except in compliance with the License.
@@ -29,3 +29,27 @@ config.mongodb.dropCollections = {};
 config.mongodb.dropCollections.onInit = false;
 // specify collections to drop.  empty array = all
 config.mongodb.dropCollections.collections = [];
+
+// these settings are only effective if `test` is specified on the command line
+// when enabled, an ephemeral database server is started on a random port for
+// the test run and stopped on exit; every connection that is not configured
+// via a `url` uses it with a database name that is unique to the run
+config.mongodb.ephemeral = {};
+config.mongodb.ephemeral.enabled = false;
+// `mongod` to run a locally installed `mongod` or `mongodb-memory-server` to
+// use the optional `mongodb-memory-server(-core)` package
+config.mongodb.ephemeral.launcher = 'mongod';
+// path to the `mongod` binary; defaults to `mongod` on the `PATH` or, for
+// `mongodb-memory-server`, to the binary it is configured to use (set this to
+// a pre-downloaded binary to avoid downloading one)
+config.mongodb.ephemeral.binary = null;
+// `true` to start a single-node replica set (needed for transactions and
+// change streams)
+config.mongodb.ephemeral.replicaSet = true;
+// max time (in ms) to wait for the server to start or stop
+config.mongodb.ephemeral.startupTimeout = 30000;
+
+// used by `isolateDatabase`/`restoreDatabase`; set `keepDatabases` to `true`
+// to keep isolated databases instead of dropping them (for debugging)
+config.mongodb.isolation = {};
+config.mongodb.isolation.keepDatabases = false;
@@ -0,0 +1,89 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {_getCommandCollection} from './instrumentation.js';
+import {logger} from './logger.js';
+
+// spans for commands that have started but not yet completed, by request ID
+const _spans = new Map();
+
+// called from `_init` to create spans for the operations performed via the
+// shared client; a no-op if `@opentelemetry/api` is not installed or, as no
+// spans are recorded, if no tracer provider is registered
+export async function _startTracing({client}) {
+  if(!bedrock.config.mongodb.tracing.enabled) {
+    return;
+  }
+  let api;
+  try {
+    api = await import('@opentelemetry/api');
+  } catch(e) {
+    if(e.code !== 'ERR_MODULE_NOT_FOUND') {
+      throw e;
+    }
+    logger.debug('"@opentelemetry/api" not found; tracing disabled');
+    return;
+  }
+  const {context, SpanKind, SpanStatusCode, trace} = api;
+
+  // the tracer delegates to any tracer provider registered later
+  const tracer = trace.getTracer('@bedrock/mongodb');
+
+  client.on('commandStarted', ({
+    requestId, commandName, command, databaseName, address
+  }) => {
+    const attributes = {
+      'db.system': 'mongodb',
+      'db.name': databaseName,
+      'db.operation': commandName
+    };
+    let name = `${commandName} ${databaseName}`;
+    const collection = _getCommandCollection({commandName, command});
+    if(collection !== undefined) {
+      attributes['db.mongodb.collection'] = collection;
+      name += `.${collection}`;
+    }
+    const [host, port] = address?.split(':') ?? [];
+    if(host) {
+      attributes['net.peer.name'] = host;
+      attributes['net.peer.port'] = Number.parseInt(port, 10);
+    }
+    // the span is a child of the span active where the operation was called
+    const span = tracer.startSpan(
+      name, {kind: SpanKind.CLIENT, attributes}, context.active());
+    if(span.isRecording()) {
+      _spans.set(requestId, span);
+    }
+  });
+  client.on('commandSucceeded', ({requestId}) => {
+    const span = _spans.get(requestId);
+    if(span) {
+      _spans.delete(requestId);
+      span.end();
+    }
+  });
+  client.on('commandFailed', ({requestId, failure}) => {
+    const span = _spans.get(requestId);
+    if(span) {
+      _spans.delete(requestId);
+      span.recordException(failure);
+      span.setStatus({code: SpanStatusCode.ERROR, message: failure.message});
+      span.end();
+    }
+  });
+}
@@ -0,0 +1,102 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as bedrock from '@bedrock/core';
+import {client, db} from './index.js';
+import {
+  isTransientTransactionError,
+  isUnknownTransactionCommitResultError
+} from './helpers.js';
+import {_assertNotClosing} from './shutdown.js';
+import {logger} from './logger.js';
+import {setTimeout} from 'node:timers/promises';
+
+/**
+ * Runs the given function in a transaction using a new session from the
+ * shared client. The transaction uses the configured `writeOptions` write
+ * concern unless `writeConcern` is given in `options`. If the function or
+ * commit fails with a `TransientTransactionError`, the whole transaction is
+ * retried; if the commit fails with an `UnknownTransactionCommitResult`, the
+ * commit is retried. The session is always ended.
+ *
+ * Any error thrown is the original error from the function or the driver so
+ * it can be classified via `isDatabaseError`, `isDuplicateError`, etc.
+ *
+ * @param {Function} fn - An async function that receives `{session, db}`; it
+ *   must pass `session` to every operation that is part of the transaction.
+ * @param {object} [options={}] - The options to use; any options other than
+ *   those below are passed to `session.startTransaction`.
+ * @param {number} [options.maxRetries] - The maximum number of times to
+ *   retry the transaction or its commit; defaults to
+ *   `config.mongodb.transactions.maxRetries`.
+ *
+ * @returns {Promise<*>} Resolves to the value returned by `fn`.
+ */
+export async function withTransaction(fn, options = {}) {
+  const config = bedrock.config.mongodb;
+  const {
+    maxRetries = config.transactions.maxRetries,
+    ...transactionOptions
+  } = options;
+  const {writeConcern} = config.writeOptions;
+
+  _assertNotClosing();
+  const session = client.startSession();
+  try {
+    for(let attempt = 0; ; ++attempt) {
+      session.startTransaction({writeConcern, ...transactionOptions});
+      try {
+        const result = await fn({session, db});
+        await _commit({session, maxRetries});
+        return result;
+      } catch(e) {
+        if(session.inTransaction()) {
+          await session.abortTransaction().catch(error => logger.debug(
+            'failed to abort transaction', {error}));
+        }
+        if(!(isTransientTransactionError(e) && attempt < maxRetries)) {
+          throw e;
+        }
+        logger.debug('retrying transaction', {attempt, error: e});
+        await setTimeout(_getRetryDelay(attempt));
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function _commit({session, maxRetries}) {
+  for(let attempt = 0; ; ++attempt) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch(e) {
+      if(!(isUnknownTransactionCommitResultError(e) &&
+        attempt < maxRetries)) {
+        throw e;
+      }
+      logger.debug('retrying transaction commit', {attempt, error: e});
+      await setTimeout(_getRetryDelay(attempt));
+    }
+  }
+}
+
+function _getRetryDelay(attempt) {
+  const {retryDelay, maxRetryDelay} = bedrock.config.mongodb.transactions;
+  return Math.min(retryDelay * (2 ** attempt), maxRetryDelay);
+}
@@ -16,7 +16,10 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 
+import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import {Long, MongoServerError, ObjectId} from 'mongodb';
+import crypto from 'node:crypto';
 
 describe('api', function() {
   describe('openCollection', function() {
@@ -43,6 +46,69 @@ describe('api', function() {
       database.collections.should.have.property('test2');
       database.collections.should.have.property('test3');
     });
+    it('should open a collection with a validator', async function() {
+      await database.openCollections([{
+        name: 'test-validated',
+        options: {
+          validator: {$jsonSchema: {required: ['id']}}
+        }
+      }]);
+      database.collections.should.have.property('test-validated');
+      let error;
+      try {
+        await database.collections['test-validated'].insertOne({foo: 'bar'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.code.should.equal(121);
+    });
+    it('should update the validator of an existing collection',
+      async function() {
+        delete database.collections['test-validated'];
+        await database.openCollections([{
+          name: 'test-validated',
+          options: {
+            validator: {$jsonSchema: {required: ['foo']}}
+          }
+        }]);
+        const [info] = await database.db.listCollections(
+          {name: 'test-validated'}).toArray();
+        info.options.validator.should.eql(
+          {$jsonSchema: {required: ['foo']}});
+        await database.collections['test-validated'].insertOne({foo: 'bar'});
+      });
+  });
+  describe('connections', function() {
+    it('should get the default database', async function() {
+      database.getDatabase().should.equal(database.db);
+      database.getCollections().should.equal(database.collections);
+    });
+    it('should open a collection using a named connection', async function() {
+      await database.openCollections(['test'], {connection: 'secondary'});
+      const db = database.getDatabase('secondary');
+      db.databaseName.should.equal('bedrock_mongodb_test_secondary');
+      const collections = database.getCollections('secondary');
+      collections.should.have.property('test');
+      collections.test.namespace.should.equal(
+        'bedrock_mongodb_test_secondary.test');
+      await database.createIndexes([{
+        collection: 'test',
+        fields: {id: 1},
+        options: {unique: true}
+      }], {connection: 'secondary'});
+    });
+    it('should throw NotFoundError for an unknown connection',
+      async function() {
+        let error;
+        try {
+          database.getDatabase('unknown');
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('NotFoundError');
+      });
   });
   describe('hash', function() {
     it('should hash a key', async function() {
@@ -70,6 +136,171 @@ describe('api', function() {
         should.exist(error);
         error.name.should.equal('TypeError');
       });
+    describe('schemes', function() {
+      const {hash: hashConfig} = bedrock.config.mongodb;
+      beforeEach(function() {
+        hashConfig.schemes = {
+          v1: {algorithm: 'sha512', encoding: 'hex'},
+          v2: {algorithm: 'blake2b512', encoding: 'base64url', secret: 'foo'}
+        };
+        hashConfig.scheme = 'v2';
+      });
+      afterEach(function() {
+        hashConfig.schemes = {};
+        hashConfig.scheme = null;
+        hashConfig.includeLegacy = true;
+      });
+      it('should hash a key using the current scheme', async function() {
+        const expected = crypto.createHmac('blake2b512', 'foo')
+          .update('1245678', 'utf8').digest('base64url');
+        database.hash('1245678').should.equal(`v2:${expected}`);
+      });
+      it('should hash a key using a given scheme', async function() {
+        const expected = crypto.createHash('sha512')
+          .update('1245678', 'utf8').digest('hex');
+        database.hash('1245678', {scheme: 'v1'}).should.equal(`v1:${expected}`);
+        const legacy = crypto.createHash('sha256')
+          .update('1245678', 'utf8').digest('base64');
+        database.hash('1245678', {scheme: null}).should.equal(legacy);
+      });
+      it('should get the hashes of every scheme', async function() {
+        database.getHashes('1245678').should.deep.equal([
+          database.hash('1245678', {scheme: 'v2'}),
+          database.hash('1245678', {scheme: 'v1'}),
+          database.hash('1245678', {scheme: null})
+        ]);
+        hashConfig.includeLegacy = false;
+        database.getHashes('1245678').should.have.length(2);
+      });
+      it('should throw NotFoundError for an unknown scheme', async function() {
+        let error;
+        try {
+          database.hash('1245678', {scheme: 'unknown'});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('NotFoundError');
+      });
+      it('should throw NotSupportedError for an unsupported algorithm',
+        async function() {
+          hashConfig.schemes.v3 = {algorithm: 'md5'};
+          let error;
+          try {
+            database.hash('1245678', {scheme: 'v3'});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('NotSupportedError');
+        });
+    });
+  });
+  describe('encryptFields', function() {
+    const keys = {
+      'key-1': crypto.randomBytes(32),
+      'key-2': crypto.randomBytes(32)
+    };
+    let currentKeyId;
+    const keyResolver = async ({id = currentKeyId}) => ({id, key: keys[id]});
+    const paths = ['thing.secret', 'thing.nested.date'];
+    beforeEach(function() {
+      currentKeyId = 'key-1';
+    });
+    it('should encrypt and decrypt fields', async function() {
+      const record = {
+        thing: {id: '1', secret: 'foo', nested: {date: new Date(0)}}
+      };
+      const encrypted = await database.encryptFields(
+        record, {paths, keyResolver});
+      encrypted.thing.id.should.equal('1');
+      encrypted.thing.secret.kid.should.equal('key-1');
+      encrypted.thing.secret.should.include.keys(['iv', 'tag', 'ct']);
+      encrypted.thing.nested.date.kid.should.equal('key-1');
+      // original is not modified
+      record.thing.secret.should.equal('foo');
+      const decrypted = await database.decryptFields(
+        encrypted, {paths, keyResolver});
+      decrypted.should.deep.equal(record);
+    });
+    it('should encrypt a field in an array element', async function() {
+      const record = {things: [{secret: 'foo'}, {secret: 'bar'}]};
+      const encrypted = await database.encryptFields(
+        record, {paths: ['things.0.secret'], keyResolver});
+      encrypted.things.should.be.an('array').with.length(2);
+      encrypted.things[0].secret.kid.should.equal('key-1');
+      encrypted.things[1].should.deep.equal({secret: 'bar'});
+      // original is not modified
+      record.things[0].secret.should.equal('foo');
+      const decrypted = await database.decryptFields(
+        encrypted, {paths: ['things.0.secret'], keyResolver});
+      decrypted.should.deep.equal(record);
+    });
+    it('should fail to decrypt a field moved to another path',
+      async function() {
+        const encrypted = await database.encryptFields(
+          {a: 'foo'}, {paths: ['a'], keyResolver});
+        let error;
+        try {
+          await database.decryptFields(
+            {b: encrypted.a}, {paths: ['b'], keyResolver});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('DataError');
+      });
+    it('should use keys from config by default', async function() {
+      const {fieldEncryption} = bedrock.config.mongodb;
+      fieldEncryption.currentKeyId = 'key-1';
+      fieldEncryption.keys['key-1'] = keys['key-1'].toString('base64');
+      try {
+        const encrypted = await database.encryptFields(
+          {a: 'foo'}, {paths: ['a']});
+        const decrypted = await database.decryptFields(
+          encrypted, {paths: ['a'], keyResolver});
+        decrypted.a.should.equal('foo');
+      } finally {
+        fieldEncryption.currentKeyId = null;
+        fieldEncryption.keys = {};
+      }
+    });
+    it('should throw NotFoundError if no key is configured', async function() {
+      let error;
+      try {
+        await database.encryptFields({a: 'foo'}, {paths: ['a']});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+    it('should re-encrypt fields in a collection', async function() {
+      await database.openCollections(['encrypted']);
+      const collection = database.collections.encrypted;
+      await collection.deleteMany({});
+      await collection.insertMany(await Promise.all(['1', '2'].map(
+        id => database.encryptFields(
+          {thing: {id, secret: `secret-${id}`}}, {paths, keyResolver}))));
+      currentKeyId = 'key-2';
+      const result = await database.reencryptFields(
+        {collection, paths, keyResolver});
+      result.should.deep.equal({scanned: 2, updated: 2});
+      const records = await collection.find(
+        {}, {projection: {_id: 0}}).sort({'thing.id': 1}).toArray();
+      for(const record of records) {
+        record.thing.secret.kid.should.equal('key-2');
+      }
+      // old key is no longer needed
+      delete keys['key-1'];
+      const decrypted = await Promise.all(records.map(
+        record => database.decryptFields(record, {paths, keyResolver})));
+      decrypted.map(({thing}) => thing.secret).should.deep.equal(
+        ['secret-1', 'secret-2']);
+      const again = await database.reencryptFields(
+        {collection, paths, keyResolver});
+      again.should.deep.equal({scanned: 2, updated: 0});
+    });
   });
   describe('buildUpdate', function() {
     const user = {
@@ -225,6 +456,66 @@ describe('api', function() {
       error.name.should.equal('Error');
     });
   });
+  describe('buildUpdateDiff', function() {
+    const oldUser = {
+      id: '1234',
+      profile: {name: 'user', 'e.mail': 'a@example.com'},
+      tags: ['a', 'b'],
+      roles: ['admin', 'editor', 'viewer'],
+      type: 'standard'
+    };
+    const newUser = {
+      id: '1234',
+      profile: {name: 'new name'},
+      tags: ['a', 'b', 'c'],
+      roles: ['admin', 'viewer'],
+      created: new Date(0)
+    };
+    it('should build an update document from a diff', async function() {
+      const result = database.buildUpdateDiff(oldUser, newUser);
+      result.should.eql({
+        $set: {
+          'profile.name': 'new name',
+          tags: ['a', 'b', 'c'],
+          roles: ['admin', 'viewer'],
+          created: new Date(0)
+        },
+        $unset: {
+          'profile.e%2Email': '',
+          type: ''
+        }
+      });
+    });
+    it('should use array operators and a field', async function() {
+      const result = database.buildUpdateDiff(oldUser, newUser, {
+        field: 'user',
+        arrayOperators: true
+      });
+      result.should.eql({
+        $set: {
+          'user.profile.name': 'new name',
+          'user.created': new Date(0)
+        },
+        $unset: {
+          'user.profile.e%2Email': '',
+          'user.type': ''
+        },
+        $push: {'user.tags': {$each: ['c']}},
+        $pull: {'user.roles': {$in: ['editor']}}
+      });
+    });
+    it('should respect an exclude option', async function() {
+      const result = database.buildUpdateDiff(oldUser, newUser, {
+        exclude: ['profile', 'type', 'tags', 'roles']
+      });
+      result.should.eql({$set: {created: new Date(0)}});
+    });
+    it('should return an empty update if there are no differences',
+      async function() {
+        database.buildUpdateDiff(oldUser, structuredClone(oldUser))
+          .should.eql({});
+      });
+  });
   describe('createIndexes', function() {
     it('should create an index', async function() {
       let error = null;
@@ -268,6 +559,129 @@ describe('api', function() {
         'Expected "isDuplicateError()" to be true');
     });
   });
+  describe('reconcileIndexes', function() {
+    before(async function() {
+      await database.openCollections(['test-reconcile']);
+      await database.createIndexes([{
+        collection: 'test-reconcile',
+        fields: {id: 1},
+        options: {unique: true}
+      }, {
+        collection: 'test-reconcile',
+        fields: {stale: 1},
+        options: {}
+      }]);
+    });
+    it('should report index differences on dry run', async function() {
+      const report = await database.reconcileIndexes([{
+        collection: 'test-reconcile',
+        fields: {id: 1},
+        options: {unique: false}
+      }, {
+        collection: 'test-reconcile',
+        fields: {added: 1},
+        options: {}
+      }], {dryRun: true});
+      report.added.map(({name}) => name).should.eql(['added_1']);
+      report.changed.map(({name}) => name).should.eql(['id_1']);
+      report.extraneous.map(({name}) => name).should.eql(['stale_1']);
+      report.unchanged.should.eql([]);
+      const indexes = await database.collections['test-reconcile']
+        .listIndexes().toArray();
+      indexes.map(({name}) => name).should.not.include('added_1');
+    });
+    it('should rebuild and drop indexes', async function() {
+      await database.reconcileIndexes([{
+        collection: 'test-reconcile',
+        fields: {id: 1},
+        options: {unique: false}
+      }, {
+        collection: 'test-reconcile',
+        fields: {added: 1},
+        options: {}
+      }], {rebuild: true, dropExtraneous: true});
+      const report = await database.reconcileIndexes([{
+        collection: 'test-reconcile',
+        fields: {id: 1},
+        options: {unique: false}
+      }, {
+        collection: 'test-reconcile',
+        fields: {added: 1},
+        options: {}
+      }], {dryRun: true});
+      report.added.should.eql([]);
+      report.changed.should.eql([]);
+      report.extraneous.should.eql([]);
+      report.unchanged.map(({name}) => name).should.have.members(
+        ['id_1', 'added_1']);
+    });
+  });
+  describe('getHealth', function() {
+    it('should report a healthy database', async function() {
+      const health = await database.getHealth();
+      health.healthy.should.be.true;
+      health.status.should.equal('healthy');
+    });
+    it('should ping the database', async function() {
+      const before = Date.now();
+      const health = await database.getHealth({ping: true});
+      health.healthy.should.be.true;
+      health.latency.should.be.a('number');
+      health.lastPing.should.be.at.least(before);
+      should.exist(health.topology);
+      should.exist(health.topology.primary);
+    });
+  });
+  describe('getMetrics', function() {
+    it('should record per-collection metrics', async function() {
+      await database.openCollections(['metrics']);
+      database.resetMetrics();
+      const collection = database.collections.metrics;
+      await collection.insertOne({thing: {id: '1'}});
+      await collection.findOne({'thing.id': '1'});
+      const {collections} = database.getMetrics();
+      const ns = `${database.db.databaseName}.metrics`;
+      should.exist(collections[ns]);
+      const stats = collections[ns];
+      stats.operations.should.equal(2);
+      stats.errors.should.equal(0);
+      stats.commands.should.deep.equal({insert: 1, find: 1});
+      stats.histogram.counts.reduce((a, b) => a + b).should.equal(2);
+      stats.histogram.counts.should.have.length(
+        stats.histogram.buckets.length + 1);
+    });
+    it('should count errors', async function() {
+      await database.openCollections(['metrics']);
+      await database.collections.metrics.createIndex(
+        {'thing.id': 1}, {unique: true});
+      await database.collections.metrics.deleteMany({});
+      await database.collections.metrics.insertOne({thing: {id: '1'}});
+      database.resetMetrics();
+      let error;
+      try {
+        await database.collections.metrics.insertOne({thing: {id: '1'}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      const {collections} = database.getMetrics();
+      const stats = collections[`${database.db.databaseName}.metrics`];
+      stats.errors.should.equal(1);
+    });
+    it('should record connection pool stats', async function() {
+      // connections created while connecting are counted
+      let {pool} = database.getMetrics();
+      pool.open.should.be.at.least(1);
+      database.resetMetrics();
+      const collection = database.collections.metrics;
+      await Promise.all([...Array(5)].map(() => collection.countDocuments()));
+      pool = database.getMetrics().pool;
+      pool.checkedOut.should.equal(0);
+      pool.open.should.be.at.least(1);
+      // connections created since the reset are included in `open`
+      (pool.created - pool.closed).should.be.at.most(pool.open);
+    });
+  });
   describe('createGridFSBucket', function() {
     it('should create a streaming GridFS bucket instance', async function() {
       let error;
@@ -354,6 +768,23 @@ describe('api', function() {
         result.should.be.a('string');
         result.should.eql('test');
       });
+    it('should not encode the properties of dates or BSON values',
+      async function() {
+        const value = {
+          'a.date': new Date(0),
+          'a.id': new ObjectId(),
+          'a.long': Long.fromString('9007199254740993'),
+          'a.buffer': Buffer.from('test')
+        };
+        const result = database.encode(value);
+        Object.keys(result).should.eql(
+          ['a%2Edate', 'a%2Eid', 'a%2Elong', 'a%2Ebuffer']);
+        result['a%2Edate'].should.equal(value['a.date']);
+        result['a%2Eid'].should.equal(value['a.id']);
+        result['a%2Elong'].should.equal(value['a.long']);
+        result['a%2Ebuffer'].should.equal(value['a.buffer']);
+        database.decode(result).should.eql(value);
+      });
   });
   describe('decodeString', function() {
     it('should decode a string that was previsouly encoded',
@@ -372,6 +803,48 @@ describe('api', function() {
         result.should.equal('test$string.with%illegal.characters');
       });
   });
+  describe('key encodings', function() {
+    const key = '$http://example.com/a%20b.c$d';
+    it('should encode and decode using the strict encoding', async function() {
+      const encoded = database.encodeString(key, {encoding: 'strict'});
+      encoded.should.equal('%24http://example%2Ecom/a%2520b%2Ec$d');
+      database.decodeString(encoded, {encoding: 'strict'}).should.equal(key);
+    });
+    it('should encode and decode using the fullwidth encoding',
+      async function() {
+        const encoded = database.encodeString(
+          key + '\uFF0E', {encoding: 'fullwidth'});
+        encoded.should.equal(
+          '\uFF04http://example\uFF0Ecom/a%20b\uFF0Ec\uFF04d' +
+          '\uFF05\uFF0E');
+        database.decodeString(encoded, {encoding: 'fullwidth'})
+          .should.equal(key + '\uFF0E');
+      });
+    it('should encode and decode objects with an encoding', async function() {
+      const value = {[key]: [{'a.b': 1}]};
+      const encoded = database.encode(value, {encoding: 'fullwidth'});
+      encoded.should.eql({
+        '\uFF04http://example\uFF0Ecom/a%20b\uFF0Ec\uFF04d': [
+          {'a\uFF0Eb': 1}
+        ]
+      });
+      database.decode(encoded, {encoding: 'fullwidth'}).should.eql(value);
+    });
+    it('should not throw when decoding malformed percent sequences',
+      async function() {
+        database.decodeString('%E2%82%24x%zz%').should.equal('%E2%82$x%zz%');
+      });
+    it('should throw TypeError for an unknown encoding', async function() {
+      let error;
+      try {
+        database.encodeString(key, {encoding: 'unknown'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+    });
+  });
   describe('decode', function() {
     it('should encode an object',
       async function() {
@@ -517,6 +990,259 @@ describe('api', function() {
       result.length.should.equal(2);
     });
   });
+  describe('updateWithSequence', function() {
+    before(async function() {
+      await database.openCollections(['test-sequence']);
+      await database.collections['test-sequence'].insertOne(
+        {id: 'cas', sequence: 0xffffffff, count: 0});
+    });
+    it('should update a record and wrap its sequence', async function() {
+      const {record} = await database.updateWithSequence({
+        collection: database.collections['test-sequence'],
+        query: {id: 'cas'},
+        mutate: record => ({...record, count: record.count + 1})
+      });
+      record.count.should.equal(1);
+      record.sequence.should.equal(0);
+      const result = await database.collections['test-sequence'].findOne(
+        {id: 'cas'}, {projection: {_id: 0}});
+      result.should.eql({id: 'cas', sequence: 0, count: 1});
+    });
+    it('should retry on a conflicting update', async function() {
+      let calls = 0;
+      const {record} = await database.updateWithSequence({
+        collection: database.collections['test-sequence'],
+        query: {id: 'cas'},
+        mutate: async record => {
+          if(++calls === 1) {
+            // simulate a concurrent writer
+            await database.collections['test-sequence'].updateOne(
+              {id: 'cas'}, {$inc: {sequence: 1}});
+          }
+          return {...record, count: record.count + 1};
+        }
+      });
+      calls.should.equal(2);
+      record.count.should.equal(2);
+      record.sequence.should.equal(2);
+    });
+    it('should throw InvalidStateError when retries are exhausted',
+      async function() {
+        let error;
+        try {
+          await database.updateWithSequence({
+            collection: database.collections['test-sequence'],
+            query: {id: 'cas'},
+            maxRetries: 1,
+            mutate: async record => {
+              await database.collections['test-sequence'].updateOne(
+                {id: 'cas'}, {$inc: {sequence: 1}});
+              return record;
+            }
+          });
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('InvalidStateError');
+      });
+    it('should preserve BSON types in a record', async function() {
+      const ref = new ObjectId();
+      const big = Long.fromString('9007199254740993');
+      await database.collections['test-sequence'].insertOne(
+        {id: 'bson', sequence: 0, ref, big});
+      await database.updateWithSequence({
+        collection: database.collections['test-sequence'],
+        query: {id: 'bson'},
+        mutate: record => ({...record, updated: true})
+      });
+      const result = await database.collections['test-sequence'].findOne(
+        {id: 'bson'});
+      result.updated.should.be.true;
+      result.ref.should.be.an.instanceOf(ObjectId);
+      result.ref.equals(ref).should.be.true;
+      result.big.should.be.an.instanceOf(Long);
+      result.big.toString().should.equal('9007199254740993');
+    });
+    it('should throw NotFoundError if there is no record', async function() {
+      let error;
+      try {
+        await database.updateWithSequence({
+          collection: database.collections['test-sequence'],
+          query: {id: 'missing'},
+          mutate: record => record
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
+  describe('paginate', function() {
+    before(async function() {
+      await database.openCollections(['test-paginate']);
+      const records = [];
+      for(let i = 0; i < 25; ++i) {
+        records.push({id: `page-${i}`, group: i % 3, n: i});
+      }
+      await database.collections['test-paginate'].insertMany(records);
+    });
+    it('should page through records using a compound sort', async function() {
+      const collection = database.collections['test-paginate'];
+      const sort = {group: 1, n: -1};
+      const expected = await collection.find({}).sort(sort).toArray();
+      const actual = [];
+      let after;
+      let pages = 0;
+      do {
+        const {records, cursor} = await database.paginate({
+          collection, sort, limit: 10, after
+        });
+        actual.push(...records);
+        after = cursor ?? undefined;
+        pages++;
+      } while(after);
+      pages.should.equal(3);
+      actual.map(({id}) => id).should.eql(expected.map(({id}) => id));
+    });
+    it('should return a null cursor on the last page', async function() {
+      const {records, cursor} = await database.paginate({
+        collection: database.collections['test-paginate'],
+        query: {group: 0},
+        limit: 100
+      });
+      records.length.should.equal(9);
+      should.equal(cursor, null);
+    });
+    it('should reject a tampered cursor', async function() {
+      const collection = database.collections['test-paginate'];
+      const {cursor} = await database.paginate({collection, limit: 5});
+      const [payload, signature] = cursor.split('.');
+      const tampered = Buffer.from(payload, 'base64url').toString('utf8')
+        .replace('"v":[', '"v":[1,');
+      let error;
+      try {
+        await database.paginate({
+          collection, limit: 5,
+          after: Buffer.from(tampered).toString('base64url') + '.' + signature
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+    });
+    it('should reject a cursor used with a different query', async function() {
+      const collection = database.collections['test-paginate'];
+      const {cursor} = await database.paginate({collection, limit: 5});
+      let error;
+      try {
+        await database.paginate({
+          collection, query: {group: 1}, limit: 5, after: cursor
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+    });
+    it('should reject a cursor with an operator value', async function() {
+      const collection = database.collections['test-paginate'];
+      const {cursor} = await database.paginate({collection, limit: 5});
+      const [payload] = cursor.split('.');
+      const {h} = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      // a correctly signed cursor, as if the secret were known
+      const forged = Buffer.from(JSON.stringify({v: [{$ne: null}], h}))
+        .toString('base64url');
+      const signature = crypto.createHmac(
+        'sha256', bedrock.config.mongodb.pagination.cursorSecret)
+        .update(forged, 'utf8').digest('base64url');
+      let error;
+      try {
+        await database.paginate({
+          collection, limit: 5, after: `${forged}.${signature}`
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+    });
+    it('should throw InvalidStateError without a cursor secret',
+      async function() {
+        const {pagination} = bedrock.config.mongodb;
+        const {cursorSecret} = pagination;
+        pagination.cursorSecret = null;
+        let error;
+        try {
+          await database.paginate({
+            collection: database.collections['test-paginate'], limit: 5
+          });
+        } catch(e) {
+          error = e;
+        } finally {
+          pagination.cursorSecret = cursorSecret;
+        }
+        should.exist(error);
+        error.name.should.equal('InvalidStateError');
+      });
+  });
+  describe('locks', function() {
+    it('should acquire, renew, and release a lock', async function() {
+      const lock = await database.acquireLock('test-lock', {ttl: 10000});
+      should.exist(lock);
+      lock.name.should.equal('test-lock');
+      lock.token.should.be.a('number');
+      const renewed = await database.renewLock(lock, {ttl: 20000});
+      renewed.expires.should.be.above(lock.expires);
+      const released = await database.releaseLock(renewed);
+      released.should.be.true;
+    });
+    it('should not acquire a held lock', async function() {
+      const lock = await database.acquireLock('test-held', {ttl: 10000});
+      should.exist(lock);
+      const other = await database.acquireLock('test-held');
+      should.not.exist(other);
+      await database.releaseLock(lock);
+    });
+    it('should increase the fencing token on each acquisition',
+      async function() {
+        const first = await database.acquireLock('test-fencing');
+        await database.releaseLock(first);
+        const second = await database.acquireLock('test-fencing');
+        second.token.should.equal(database.getNextUpdateId(first.token));
+        await database.releaseLock(second);
+      });
+    it('should increase the fencing token after a lock record is removed',
+      async function() {
+        const first = await database.acquireLock('test-removed');
+        await database.releaseLock(first);
+        // simulate the removal of the expired record via its TTL index
+        const {collection} = bedrock.config.mongodb.locks;
+        await database.collections[collection].deleteOne(
+          {'lock.name': 'test-removed'});
+        const second = await database.acquireLock('test-removed');
+        should.exist(second);
+        second.token.should.equal(database.getNextUpdateId(first.token));
+        await database.releaseLock(second);
+      });
+    it('should acquire an expired lock', async function() {
+      const first = await database.acquireLock('test-expired', {ttl: 1});
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const second = await database.acquireLock('test-expired');
+      should.exist(second);
+      let error;
+      try {
+        await database.renewLock(first);
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('InvalidStateError');
+      await database.releaseLock(second);
+    });
+  });
   describe('isDuplicateError() helper', () => {
     it('should properly detect a duplicate error', async function() {
       await database.openCollections(['test']);
@@ -540,4 +1266,170 @@ describe('api', function() {
       database.isDuplicateError(error).should.be.true;
     });
   });
+  describe('translateError', function() {
+    before(async function() {
+      await database.openCollections([{
+        name: 'test-translate',
+        options: {
+          validator: {$jsonSchema: {required: ['thing']}}
+        }
+      }]);
+      await database.createIndexes([{
+        collection: 'test-translate',
+        fields: {'thing.id': 1},
+        options: {unique: true}
+      }]);
+    });
+    it('should translate a duplicate key error', async function() {
+      const collection = database.collections['test-translate'];
+      await collection.insertOne({thing: {id: 'dup'}});
+      let error;
+      try {
+        await collection.insertOne({thing: {id: 'dup'}});
+      } catch(e) {
+        error = database.translateError(e);
+      }
+      should.exist(error);
+      error.name.should.equal('DuplicateError');
+      error.details.keyPattern.should.deep.equal({'thing.id': 1});
+      error.details.index.should.equal('thing.id_1');
+      should.not.exist(error.details.keyValue);
+      error.details.httpStatusCode.should.equal(409);
+    });
+    it('should get duplicate key details', async function() {
+      const collection = database.collections['test-translate'];
+      await collection.insertOne({thing: {id: 'details'}});
+      let error;
+      try {
+        await collection.insertOne({thing: {id: 'details'}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      database.getDuplicateKeyDetails(error).should.deep.equal([{
+        index: 'thing.id_1',
+        keyPattern: {'thing.id': 1},
+        keyValue: {'thing.id': 'details'}
+      }]);
+    });
+    it('should decode the paths in duplicate key details', async function() {
+      const collection = database.collections['test-translate'];
+      const path = `thing.tags.${database.encodeString('a.b')}`;
+      await database.createIndexes([{
+        collection: 'test-translate',
+        fields: {[path]: 1},
+        options: {unique: true, sparse: true}
+      }]);
+      await collection.insertOne(
+        {thing: database.encode({id: 'encoded-1', tags: {'a.b': 'x'}})});
+      let error;
+      try {
+        await collection.insertOne(
+          {thing: database.encode({id: 'encoded-2', tags: {'a.b': 'x'}})});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      database.getDuplicateKeyDetails(error).should.deep.equal([{
+        index: `${path}_1`,
+        keyPattern: {'thing.tags.a.b': 1},
+        keyValue: {'thing.tags.a.b': 'x'}
+      }]);
+    });
+    it('should get duplicate key details from a bulk write', async function() {
+      const collection = database.collections['test-translate'];
+      await collection.insertOne({thing: {id: 'bulk-details'}});
+      let error;
+      try {
+        await collection.insertMany([
+          {thing: {id: 'bulk-details'}},
+          {thing: {id: 'bulk-other'}},
+          {thing: {id: 'bulk-other'}}
+        ], {ordered: false});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      database.getDuplicateKeyDetails(error).should.deep.equal([{
+        index: 'thing.id_1',
+        keyPattern: {'thing.id': 1},
+        keyValue: {'thing.id': 'bulk-details'}
+      }, {
+        index: 'thing.id_1',
+        keyPattern: {'thing.id': 1},
+        keyValue: {'thing.id': 'bulk-other'}
+      }]);
+    });
+    it('should get duplicate key details from a bulk update',
+      async function() {
+        const collection = database.collections['test-translate'];
+        await collection.insertMany(
+          [{thing: {id: 'bulk-update-1'}}, {thing: {id: 'bulk-update-2'}}]);
+        let error;
+        try {
+          await collection.bulkWrite([{
+            updateOne: {
+              filter: {'thing.id': 'bulk-update-2'},
+              update: {$set: {'thing.id': 'bulk-update-1'}}
+            }
+          }]);
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        database.getDuplicateKeyDetails(error).should.deep.equal([{
+          index: 'thing.id_1',
+          keyPattern: {'thing.id': 1},
+          keyValue: {'thing.id': 'bulk-update-1'}
+        }]);
+      });
+    it('should get no duplicate key details for other errors',
+      async function() {
+        database.getDuplicateKeyDetails(new TypeError('foo'))
+          .should.deep.equal([]);
+      });
+    it('should translate a duplicate key error in a bulk write',
+      async function() {
+        const collection = database.collections['test-translate'];
+        await collection.insertOne({thing: {id: 'bulk'}});
+        let error;
+        try {
+          await collection.insertMany(
+            [{thing: {id: 'other'}}, {thing: {id: 'bulk'}}]);
+        } catch(e) {
+          error = database.translateError(e);
+        }
+        should.exist(error);
+        error.name.should.equal('DuplicateError');
+        error.details.keyPattern.should.deep.equal({'thing.id': 1});
+      });
+    it('should translate a document validation failure', async function() {
+      let error;
+      try {
+        await database.collections['test-translate'].insertOne({other: 1});
+      } catch(e) {
+        error = database.translateError(e);
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+      error.details.httpStatusCode.should.equal(400);
+    });
+    it('should translate an exceeded time limit error', async function() {
+      const error = database.translateError(new MongoServerError({
+        code: 50, codeName: 'MaxTimeMSExpired', errmsg: 'time limit'
+      }));
+      error.name.should.equal('TimeoutError');
+      should.exist(error.cause);
+    });
+    it('should translate a not primary error', async function() {
+      const error = database.translateError(new MongoServerError({
+        code: 10107, codeName: 'NotWritablePrimary', errmsg: 'not primary'
+      }));
+      error.name.should.equal('InvalidStateError');
+    });
+    it('should not translate other errors', async function() {
+      const error = new TypeError('foo');
+      database.translateError(error).should.equal(error);
+    });
+  });
 });
@@ -0,0 +1,190 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+
+describe('migrations', function() {
+  before(async function() {
+    database.registerMigration({
+      name: 'test-add-field',
+      async up({db}) {
+        await db.collection('test-migration').insertOne({id: 'migrated'});
+      },
+      async down({db}) {
+        await db.collection('test-migration').deleteOne({id: 'migrated'});
+      }
+    });
+  });
+  it('should throw TypeError if "up" is not a function', async function() {
+    let error;
+    try {
+      database.registerMigration({name: 'test-bad'});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('TypeError');
+  });
+  it('should throw DuplicateError on duplicate name', async function() {
+    let error;
+    try {
+      database.registerMigration({name: 'test-add-field', async up() {}});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DuplicateError');
+  });
+  it('should report a pending migration', async function() {
+    const status = await database.getMigrationStatus();
+    status.pending.map(({name}) => name).should.include('test-add-field');
+  });
+  it('should apply pending migrations once', async function() {
+    let applied = await database.runMigrations();
+    applied.should.include('test-add-field');
+    applied = await database.runMigrations();
+    applied.should.not.include('test-add-field');
+    const status = await database.getMigrationStatus();
+    status.applied.map(({name}) => name).should.include('test-add-field');
+    const record = await database.db.collection('test-migration').findOne(
+      {id: 'migrated'});
+    should.exist(record);
+  });
+  it('should revert the last applied migration', async function() {
+    const reverted = await database.revertMigrations();
+    reverted.should.eql(['test-add-field']);
+    const status = await database.getMigrationStatus();
+    status.pending.map(({name}) => name).should.include('test-add-field');
+    const record = await database.db.collection('test-migration').findOne(
+      {id: 'migrated'});
+    should.not.exist(record);
+  });
+  it('should take over an expired claim', async function() {
+    let calls = 0;
+    database.registerMigration({
+      name: 'test-expired-claim',
+      async up() {
+        calls++;
+      }
+    });
+    // simulate a node that stopped while applying the migration
+    const {collection} = bedrock.config.mongodb.migrations;
+    await database.collections[collection].insertOne({
+      meta: {created: Date.now(), updated: Date.now()},
+      migration: {
+        name: 'test-expired-claim', state: 'pending', owner: 'stopped',
+        expires: Date.now() - 1
+      }
+    });
+    const applied = await database.runMigrations();
+    applied.should.include('test-expired-claim');
+    calls.should.equal(1);
+  });
+  it('should wait for a migration claimed by another node', async function() {
+    let calls = 0;
+    database.registerMigration({
+      name: 'test-other-claim',
+      async up() {
+        calls++;
+      }
+    });
+    const {migrations} = bedrock.config.mongodb;
+    const {pollInterval} = migrations;
+    migrations.pollInterval = 50;
+    const collection = database.collections[migrations.collection];
+    await collection.insertOne({
+      meta: {created: Date.now(), updated: Date.now()},
+      migration: {
+        name: 'test-other-claim', state: 'pending', owner: 'other',
+        expires: Date.now() + 60000
+      }
+    });
+    // simulate the other node finishing the migration
+    const timer = setTimeout(() => collection.updateOne(
+      {'migration.name': 'test-other-claim'},
+      {$set: {'migration.state': 'applied'}}), 200);
+    try {
+      const applied = await database.runMigrations();
+      applied.should.not.include('test-other-claim');
+      calls.should.equal(0);
+    } finally {
+      clearTimeout(timer);
+      migrations.pollInterval = pollInterval;
+    }
+  });
+  it('should fail if a claim is taken over while applying', async function() {
+    const {migrations} = bedrock.config.mongodb;
+    const collection = database.collections[migrations.collection];
+    let calls = 0;
+    database.registerMigration({
+      name: 'test-lost-claim',
+      async up() {
+        if(++calls === 1) {
+          // simulate another node taking over after this node's lease expired
+          await collection.updateOne({'migration.name': 'test-lost-claim'}, {
+            $set: {'migration.owner': 'other', 'migration.expires': 0}
+          });
+        }
+      }
+    });
+    let error;
+    try {
+      await database.runMigrations();
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+    // the expired claim is taken over on the next run
+    const applied = await database.runMigrations();
+    applied.should.include('test-lost-claim');
+    calls.should.equal(2);
+  });
+  it('should wait for a revert by another node', async function() {
+    let calls = 0;
+    database.registerMigration({
+      name: 'test-revert-claim',
+      async up() {},
+      async down() {
+        calls++;
+      }
+    });
+    await database.runMigrations();
+    const {migrations} = bedrock.config.mongodb;
+    const {pollInterval} = migrations;
+    migrations.pollInterval = 50;
+    const collection = database.collections[migrations.collection];
+    await collection.updateOne({'migration.name': 'test-revert-claim'}, {
+      $set: {
+        'migration.owner': 'other', 'migration.expires': Date.now() + 60000
+      }
+    });
+    // simulate the other node finishing the revert
+    const timer = setTimeout(() => collection.deleteOne(
+      {'migration.name': 'test-revert-claim'}), 200);
+    try {
+      const reverted = await database.revertMigrations();
+      reverted.should.eql([]);
+      calls.should.equal(0);
+    } finally {
+      clearTimeout(timer);
+      migrations.pollInterval = pollInterval;
+    }
+  });
+});
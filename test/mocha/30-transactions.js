@@ -0,0 +1,75 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as database from '@bedrock/mongodb';
+import {MongoError} from 'mongodb';
+
+describe('withTransaction', function() {
+  it('should resolve to the result of the function', async function() {
+    const result = await database.withTransaction(async ({session}) => {
+      should.exist(session);
+      return 'result';
+    });
+    result.should.equal('result');
+  });
+  it('should retry on a transient transaction error', async function() {
+    let calls = 0;
+    const result = await database.withTransaction(async () => {
+      if(++calls < 3) {
+        const error = new MongoError('transient');
+        error.addErrorLabel('TransientTransactionError');
+        throw error;
+      }
+      return calls;
+    });
+    result.should.equal(3);
+  });
+  it('should throw after exhausting retries', async function() {
+    let calls = 0;
+    let error;
+    try {
+      await database.withTransaction(async () => {
+        calls++;
+        const error = new MongoError('transient');
+        error.addErrorLabel('TransientTransactionError');
+        throw error;
+      }, {maxRetries: 2});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    calls.should.equal(3);
+    database.isTransientTransactionError(error).should.be.true;
+  });
+  it('should not retry on other errors', async function() {
+    let calls = 0;
+    let error;
+    try {
+      await database.withTransaction(async () => {
+        calls++;
+        throw new TypeError('not transient');
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    calls.should.equal(1);
+    error.name.should.equal('TypeError');
+    database.isDatabaseError(error).should.be.false;
+  });
+});
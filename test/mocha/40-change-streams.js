@@ -0,0 +1,103 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as database from '@bedrock/mongodb';
+
+describe('watch', function() {
+  before(async function() {
+    // change streams require a replica set
+    const hello = await database.db.admin().command({hello: 1});
+    if(!hello.setName) {
+      this.skip();
+    }
+    await database.openCollections(['test-watch']);
+  });
+  it('should throw TypeError if "handler" is not a function',
+    async function() {
+      let error;
+      try {
+        await database.watch({id: 'test-bad', collection: 'test-watch'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+    });
+  it('should call the handler for each change', async function() {
+    const changes = [];
+    let resolve;
+    const received = new Promise(r => resolve = r);
+    const watcher = await database.watch({
+      id: 'test-watch',
+      collection: 'test-watch',
+      pipeline: [{$match: {operationType: 'insert'}}],
+      async handler(change) {
+        changes.push(change);
+        if(changes.length === 2) {
+          resolve();
+        }
+      }
+    });
+    await database.collections['test-watch'].insertMany(
+      [{id: 'watch-1'}, {id: 'watch-2'}]);
+    await received;
+    await watcher.stop();
+    changes.map(({fullDocument}) => fullDocument.id).should.eql(
+      ['watch-1', 'watch-2']);
+    const record = await database.collections['mongodb-change-stream']
+      .findOne({'changeStream.id': 'test-watch'});
+    should.exist(record.changeStream.resumeToken);
+  });
+  it('should resume after the last handled change', async function() {
+    const collection = database.collections['test-watch'];
+    const start = async ({count}) => {
+      const changes = [];
+      let resolve;
+      const received = new Promise(r => resolve = r);
+      const watcher = await database.watch({
+        id: 'test-resume',
+        collection: 'test-watch',
+        pipeline: [{$match: {operationType: 'insert'}}],
+        async handler(change) {
+          changes.push(change.fullDocument.id);
+          if(changes.length === count) {
+            resolve();
+          }
+        }
+      });
+      return {watcher, changes, received};
+    };
+
+    // handle one change and stop
+    let {watcher, changes, received} = await start({count: 1});
+    await collection.insertOne({id: 'resume-1'});
+    await received;
+    await watcher.stop();
+    changes.should.eql(['resume-1']);
+
+    // changes made while stopped are delivered on restart
+    await collection.insertMany([{id: 'resume-2'}, {id: 'resume-3'}]);
+    ({watcher, changes, received} = await start({count: 3}));
+    // a change made after restarting marks the end of the changes; any
+    // redelivered change would arrive before it
+    await collection.insertOne({id: 'resume-4'});
+    await received;
+    await watcher.stop();
+    changes.should.eql(['resume-2', 'resume-3', 'resume-4']);
+  });
+});
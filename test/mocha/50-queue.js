@@ -0,0 +1,85 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as database from '@bedrock/mongodb';
+
+describe('queue', function() {
+  it('should process an enqueued job', async function() {
+    const {id} = await database.enqueue('test-queue', {value: 1});
+    should.exist(id);
+    let resolve;
+    const processed = new Promise(r => resolve = r);
+    const worker = database.startQueueWorker('test-queue', async payload => {
+      resolve(payload);
+    });
+    const payload = await processed;
+    await worker.stop();
+    payload.should.eql({value: 1});
+    const record = await database.collections['mongodb-job'].findOne(
+      {'job.id': id});
+    should.not.exist(record);
+  });
+  it('should process jobs in priority order', async function() {
+    await database.enqueue('test-priority', {value: 'low'}, {priority: 0});
+    await database.enqueue('test-priority', {value: 'high'}, {priority: 10});
+    const values = [];
+    let resolve;
+    const processed = new Promise(r => resolve = r);
+    const worker = database.startQueueWorker('test-priority', async payload => {
+      values.push(payload.value);
+      if(values.length === 2) {
+        resolve();
+      }
+    });
+    await processed;
+    await worker.stop();
+    values.should.eql(['high', 'low']);
+  });
+  it('should move a failed job to the dead-letter collection',
+    async function() {
+      const {id} = await database.enqueue(
+        'test-dead-letter', {value: 1}, {maxAttempts: 1});
+      let resolve;
+      const processed = new Promise(r => resolve = r);
+      const worker = database.startQueueWorker('test-dead-letter', async () => {
+        resolve();
+        throw new Error('job failed');
+      });
+      await processed;
+      await worker.stop();
+      const record = await database.collections['mongodb-job-dead-letter']
+        .findOne({'job.id': id});
+      should.exist(record);
+      record.job.attempts.should.equal(1);
+      record.job.lastError.message.should.equal('job failed');
+    });
+  it('should not run a job before "runAt"', async function() {
+    const {id} = await database.enqueue(
+      'test-delayed', {value: 1}, {runAt: Date.now() + 60000});
+    let calls = 0;
+    const worker = database.startQueueWorker('test-delayed', async () => {
+      calls++;
+    });
+    await new Promise(r => setTimeout(r, 100));
+    await worker.stop();
+    calls.should.equal(0);
+    const record = await database.collections['mongodb-job'].findOne(
+      {'job.id': id});
+    should.exist(record);
+  });
+});
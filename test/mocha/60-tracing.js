@@ -0,0 +1,85 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as database from '@bedrock/mongodb';
+import {
+  BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor
+} from '@opentelemetry/sdk-trace-base';
+import {context, SpanKind, SpanStatusCode, trace} from '@opentelemetry/api';
+import {AsyncLocalStorageContextManager} from
+  '@opentelemetry/context-async-hooks';
+
+describe('tracing', function() {
+  const exporter = new InMemorySpanExporter();
+  before(async function() {
+    context.setGlobalContextManager(
+      new AsyncLocalStorageContextManager().enable());
+    trace.setGlobalTracerProvider(new BasicTracerProvider({
+      spanProcessors: [new SimpleSpanProcessor(exporter)]
+    }));
+    await database.openCollections(['test-tracing']);
+  });
+  after(async function() {
+    trace.disable();
+    context.disable();
+  });
+  beforeEach(async function() {
+    exporter.reset();
+  });
+  it('should create a span for an operation', async function() {
+    await database.collections['test-tracing'].findOne({id: '1'});
+    const spans = exporter.getFinishedSpans();
+    const span = spans.find(
+      ({attributes}) => attributes['db.mongodb.collection'] === 'test-tracing');
+    should.exist(span);
+    span.name.should.equal(`find ${database.db.databaseName}.test-tracing`);
+    span.kind.should.equal(SpanKind.CLIENT);
+    span.attributes['db.system'].should.equal('mongodb');
+    span.attributes['db.name'].should.equal(database.db.databaseName);
+    span.attributes['db.operation'].should.equal('find');
+  });
+  it('should create a child span of the active span', async function() {
+    const tracer = trace.getTracer('test');
+    let parent;
+    await tracer.startActiveSpan('parent', async span => {
+      parent = span;
+      await database.collections['test-tracing'].findOne({id: '1'});
+      span.end();
+    });
+    const span = exporter.getFinishedSpans().find(
+      ({attributes}) => attributes['db.operation'] === 'find');
+    should.exist(span);
+    span.spanContext().traceId.should.equal(parent.spanContext().traceId);
+    span.parentSpanContext.spanId.should.equal(parent.spanContext().spanId);
+  });
+  it('should record a failed operation', async function() {
+    let error;
+    try {
+      await database.collections['test-tracing'].aggregate(
+        [{$invalidStage: {}}]).toArray();
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    const span = exporter.getFinishedSpans().find(
+      ({attributes}) => attributes['db.operation'] === 'aggregate');
+    should.exist(span);
+    span.status.code.should.equal(SpanStatusCode.ERROR);
+    span.events.map(({name}) => name).should.include('exception');
+  });
+});
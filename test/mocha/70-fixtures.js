@@ -0,0 +1,77 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as database from '@bedrock/mongodb';
+import {fileURLToPath} from 'node:url';
+import path from 'node:path';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'people.json');
+
+describe('fixtures', function() {
+  it('should load fixtures from a file', async function() {
+    const counts = await database.loadFixtures([FIXTURE_FILE]);
+    counts.should.deep.equal({'test-fixtures': 2});
+    const collection = database.collections['test-fixtures'];
+    const alice = await collection.findOne({'person.id': '1'});
+    alice._id.toHexString().should.equal('5f1f6b1c9d3e2a0001a1b2c3');
+    alice.person.created.should.be.a('Date');
+    // keys are encoded
+    alice.meta.tags.should.deep.equal({'a%2Eb': true});
+    (await collection.countDocuments()).should.equal(2);
+  });
+  it('should replace existing documents', async function() {
+    await database.loadFixtures([FIXTURE_FILE]);
+    await database.loadFixtures([{'test-fixtures': [{person: {id: '3'}}]}]);
+    const collection = database.collections['test-fixtures'];
+    const records = await collection.find(
+      {}, {projection: {_id: 0}}).toArray();
+    records.should.deep.equal([{person: {id: '3'}}]);
+  });
+  it('should append documents if "replace" is false', async function() {
+    await database.loadFixtures([FIXTURE_FILE]);
+    await database.loadFixtures(
+      [{'test-fixtures': [{person: {id: '3'}}]}], {replace: false});
+    const collection = database.collections['test-fixtures'];
+    (await collection.countDocuments()).should.equal(3);
+  });
+  it('should throw DataError for a missing file', async function() {
+    let error;
+    try {
+      await database.loadFixtures([path.join(__dirname, 'missing.json')]);
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('DataError');
+  });
+  it('should restore a snapshot', async function() {
+    await database.loadFixtures([FIXTURE_FILE]);
+    const snapshot = await database.snapshotCollections(['test-fixtures']);
+    const collection = database.collections['test-fixtures'];
+    await collection.deleteOne({'person.id': '1'});
+    await collection.insertOne({person: {id: '4'}});
+    await database.restoreSnapshot(snapshot);
+    const records = await collection.find().sort({'person.id': 1}).toArray();
+    records.map(({person}) => person.id).should.deep.equal(['1', '2']);
+    // a snapshot may be restored more than once
+    await collection.deleteMany({});
+    await database.restoreSnapshot(snapshot);
+    (await collection.countDocuments()).should.equal(2);
+  });
+});
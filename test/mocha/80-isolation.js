@@ -0,0 +1,63 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as database from '@bedrock/mongodb';
+
+describe('isolateDatabase', function() {
+  let defaultName;
+  before(async function() {
+    defaultName = database.db.databaseName;
+  });
+  it('should use a unique database and then drop it', async function() {
+    const db = await database.isolateDatabase();
+    db.databaseName.should.not.equal(defaultName);
+    db.databaseName.should.match(new RegExp(`^${defaultName}_`));
+    database.db.should.equal(db);
+    should.not.exist(database.collections['test-isolated']);
+
+    await database.openCollections(['test-isolated']);
+    await database.collections['test-isolated'].insertOne({id: '1'});
+    const {databases} = await database.db.admin().listDatabases();
+    databases.map(({name}) => name).should.include(db.databaseName);
+
+    await database.restoreDatabase();
+    database.db.databaseName.should.equal(defaultName);
+    const after = await database.db.admin().listDatabases();
+    after.databases.map(({name}) => name).should.not.include(
+      db.databaseName);
+  });
+  it('should throw InvalidStateError if not isolated', async function() {
+    let error;
+    try {
+      await database.restoreDatabase();
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+  });
+  describe('useIsolatedDatabase', function() {
+    database.useIsolatedDatabase();
+    it('should use an isolated database in a suite', async function() {
+      database.db.databaseName.should.not.equal(defaultName);
+      // the migration collection is available
+      const status = await database.getMigrationStatus();
+      should.exist(status);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as bedrock from '@bedrock/core';
+import {_retryStartup} from '@bedrock/mongodb/lib/retry.js';
+import {MongoServerError} from 'mongodb';
+
+const {util: {BedrockError}} = bedrock;
+
+describe('startup retry', function() {
+  let startupRetry;
+  beforeEach(function() {
+    startupRetry = bedrock.config.mongodb.startupRetry;
+    bedrock.config.mongodb.startupRetry = {
+      ...startupRetry,
+      maxAttempts: 3,
+      initialDelay: 10,
+      jitter: 0,
+      deadline: null
+    };
+  });
+  afterEach(function() {
+    bedrock.config.mongodb.startupRetry = startupRetry;
+  });
+
+  // errors are identified by name, as they may have been serialized
+  function selectionError() {
+    const error = new Error('Server selection timed out.');
+    error.name = 'MongoServerSelectionError';
+    return error;
+  }
+
+  // returns a function that fails with each of `errors` and then succeeds
+  function failWith(...errors) {
+    const fn = async () => {
+      fn.calls++;
+      if(errors.length > 0) {
+        throw errors.shift();
+      }
+      return 'done';
+    };
+    fn.calls = 0;
+    return fn;
+  }
+
+  async function getError(promise) {
+    try {
+      await promise;
+    } catch(e) {
+      return e;
+    }
+  }
+
+  it('should retry a server selection error', async function() {
+    const fn = failWith(selectionError(), selectionError());
+    const result = await _retryStartup(fn, {operation: 'test'});
+    result.should.equal('done');
+    fn.calls.should.equal(3);
+  });
+  it('should retry a wrapped server selection error', async function() {
+    const fn = failWith(new BedrockError('Could not connect.', {
+      name: 'OperationError',
+      cause: selectionError()
+    }));
+    const result = await _retryStartup(fn, {operation: 'test'});
+    result.should.equal('done');
+    fn.calls.should.equal(2);
+  });
+  it('should not retry a wrapped authentication error', async function() {
+    const fn = failWith(new BedrockError('Could not connect.', {
+      name: 'OperationError',
+      cause: new MongoServerError({
+        code: 18, codeName: 'AuthenticationFailed',
+        errmsg: 'Authentication failed.'
+      })
+    }));
+    const error = await getError(_retryStartup(fn, {operation: 'test'}));
+    should.exist(error);
+    error.cause.code.should.equal(18);
+    fn.calls.should.equal(1);
+  });
+  it('should not retry a wrapped VersionError', async function() {
+    // fatal even though it was caused by a retryable error
+    const fn = failWith(new BedrockError('Could not connect.', {
+      name: 'OperationError',
+      cause: new BedrockError('Unsupported server version.', {
+        name: 'VersionError',
+        cause: selectionError()
+      })
+    }));
+    const error = await getError(_retryStartup(fn, {operation: 'test'}));
+    should.exist(error);
+    error.cause.name.should.equal('VersionError');
+    fn.calls.should.equal(1);
+  });
+  it('should not retry other errors', async function() {
+    const fn = failWith(new TypeError('bad'));
+    const error = await getError(_retryStartup(fn, {operation: 'test'}));
+    should.exist(error);
+    error.name.should.equal('TypeError');
+    fn.calls.should.equal(1);
+  });
+  it('should stop after "maxAttempts"', async function() {
+    const errors = Array.from(
+      {length: 5}, () => selectionError());
+    const fn = failWith(...errors);
+    const error = await getError(_retryStartup(fn, {operation: 'test'}));
+    should.exist(error);
+    error.name.should.equal('MongoServerSelectionError');
+    fn.calls.should.equal(3);
+  });
+  it('should stop before "deadline"', async function() {
+    Object.assign(bedrock.config.mongodb.startupRetry, {
+      maxAttempts: 100, initialDelay: 20, backoffFactor: 1, deadline: 100
+    });
+    const errors = Array.from(
+      {length: 100}, () => selectionError());
+    const fn = failWith(...errors);
+    const start = Date.now();
+    const error = await getError(_retryStartup(fn, {operation: 'test'}));
+    should.exist(error);
+    error.name.should.equal('MongoServerSelectionError');
+    // a retry that would start after the deadline is not attempted
+    (Date.now() - start).should.be.below(100);
+    fn.calls.should.be.within(2, 5);
+  });
+});
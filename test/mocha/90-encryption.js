@@ -0,0 +1,154 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {
+  _getAutoEncryptionOptions, _getKmsProviders
+} from '@bedrock/mongodb/lib/encryption.js';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// these tests do not require the `mongodb-client-encryption` package
+describe('encryption', function() {
+  const key = crypto.randomBytes(96);
+  let dir;
+  before(async function() {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bedrock-mongodb-'));
+  });
+  after(async function() {
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  function getEncryption(options) {
+    return {...bedrock.config.mongodb.encryption, enabled: true, ...options};
+  }
+
+  async function getError(promise) {
+    try {
+      await promise;
+    } catch(e) {
+      return e;
+    }
+  }
+
+  describe('_getKmsProviders', function() {
+    it('should read a raw local master key file', async function() {
+      const file = path.join(dir, 'raw.key');
+      await fs.writeFile(file, key);
+      const kmsProviders = await _getKmsProviders({
+        encryption: getEncryption({localMasterKeyFile: file})
+      });
+      kmsProviders.local.key.equals(key).should.be.true;
+    });
+    it('should read a base64-encoded local master key file',
+      async function() {
+        const file = path.join(dir, 'base64.key');
+        await fs.writeFile(file, key.toString('base64') + '\n');
+        const kmsProviders = await _getKmsProviders({
+          encryption: getEncryption({localMasterKeyFile: file})
+        });
+        kmsProviders.local.key.equals(key).should.be.true;
+      });
+    it('should use a local master key from the config', async function() {
+      const kmsProviders = await _getKmsProviders({
+        encryption: getEncryption({localMasterKey: key.toString('base64')})
+      });
+      kmsProviders.local.key.equals(key).should.be.true;
+    });
+    it('should include other KMS providers', async function() {
+      const aws = {accessKeyId: 'id', secretAccessKey: 'secret'};
+      const kmsProviders = await _getKmsProviders({
+        encryption: getEncryption({kmsProviders: {aws}})
+      });
+      kmsProviders.should.deep.equal({aws});
+    });
+    it('should throw DataError for a wrong length key', async function() {
+      const error = await getError(_getKmsProviders({
+        encryption: getEncryption({
+          localMasterKey: key.subarray(0, 32).toString('base64')
+        })
+      }));
+      should.exist(error);
+      error.name.should.equal('DataError');
+      error.details.length.should.equal(32);
+    });
+    it('should throw DataError without a KMS provider', async function() {
+      const error = await getError(_getKmsProviders({
+        encryption: getEncryption()
+      }));
+      should.exist(error);
+      error.name.should.equal('DataError');
+    });
+  });
+
+  describe('_getAutoEncryptionOptions', function() {
+    it('should return nothing when encryption is disabled', async function() {
+      const options = await _getAutoEncryptionOptions({
+        config: {name: 'test-db', encryption: {enabled: false}}
+      });
+      should.not.exist(options);
+    });
+    it('should map collection names to namespaces', async function() {
+      const schema = {bsonType: 'object'};
+      const fields = {fields: [{path: 'secret', bsonType: 'string'}]};
+      const options = await _getAutoEncryptionOptions({
+        config: {
+          name: 'test-db',
+          encryption: getEncryption({
+            localMasterKey: key.toString('base64'),
+            schemaMap: {'test-csfle': schema},
+            encryptedFieldsMap: {'test-qe': fields}
+          })
+        }
+      });
+      options.keyVaultNamespace.should.equal(
+        'test-db.mongodb-encryption-key-vault');
+      options.schemaMap.should.deep.equal({'test-db.test-csfle': schema});
+      options.encryptedFieldsMap.should.deep.equal(
+        {'test-db.test-qe': fields});
+    });
+    it('should use the database name from the URL', async function() {
+      const options = await _getAutoEncryptionOptions({
+        config: {
+          url: 'mongodb://localhost:27017/url-db',
+          encryption: getEncryption({
+            localMasterKey: key.toString('base64'),
+            keyVaultDatabase: 'keys',
+            schemaMap: {'test-csfle': {}}
+          })
+        }
+      });
+      options.keyVaultNamespace.should.equal(
+        'keys.mongodb-encryption-key-vault');
+      options.schemaMap.should.deep.equal({'url-db.test-csfle': {}});
+      should.not.exist(options.encryptedFieldsMap);
+    });
+  });
+
+  describe('createDataKey', function() {
+    it('should throw InvalidStateError when encryption is disabled',
+      async function() {
+        const error = await getError(database.createDataKey());
+        should.exist(error);
+        error.name.should.equal('InvalidStateError');
+      });
+  });
+});
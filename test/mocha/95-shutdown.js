@@ -0,0 +1,73 @@
+/*!
+ * Copyright 2025 Digital Bazaar, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as database from '@bedrock/mongodb';
+import {_setClosing} from '@bedrock/mongodb/lib/shutdown.js';
+
+describe('shutdown', function() {
+  before(async function() {
+    await database.openCollections(['test-closed']);
+    _setClosing(true);
+  });
+  after(async function() {
+    _setClosing(false);
+  });
+
+  async function getError(fn) {
+    try {
+      await fn();
+    } catch(e) {
+      return e;
+    }
+  }
+
+  it('should reject openCollections while closing', async function() {
+    const error = await getError(
+      () => database.openCollections(['test-closed']));
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+  });
+  it('should reject other operations while closing', async function() {
+    const collection = database.collections['test-closed'];
+    const errors = await Promise.all([
+      getError(() => database.withTransaction(async () => {})),
+      getError(() => database.createIndexes([{
+        collection: 'test-closed', fields: {id: 1}, options: {unique: true}
+      }])),
+      getError(() => database.reconcileIndexes([])),
+      getError(() => database.updateWithSequence({
+        collection, query: {id: 'test'}, mutate: doc => doc
+      })),
+      getError(() => database.runMigrations()),
+      getError(() => database.revertMigrations()),
+      getError(() => database.getMigrationStatus()),
+      getError(() => database.createGridFSBucket()),
+      getError(() => database.enqueue('test-closed', {})),
+      getError(() => database.startQueueWorker(
+        'test-closed', async () => {})),
+      getError(() => database.acquireLock('test-closed')),
+      getError(() => database.paginate({collection})),
+      getError(() => database.watch({
+        id: 'test-closed', collection: 'test-closed', async handler() {}
+      })),
+      getError(() => database.reencryptFields({collection, paths: ['id']}))
+    ]);
+    errors.map(e => e?.name).should.deep.equal(
+      Array(errors.length).fill('InvalidStateError'));
+  });
+});
@@ -62,6 +62,30 @@ if(process.env.MONGODB_USERNAME) {
 if(process.env.MONGODB_PASSWORD) {
   config.mongodb.password = process.env.MONGODB_PASSWORD;
 }
+// set to 1 or true to run the tests against an ephemeral `mongod`
+if(process.env.MONGODB_EPHEMERAL) {
+  config.mongodb.ephemeral.enabled = convertToBoolean(
+    process.env.MONGODB_EPHEMERAL);
+}
+if(process.env.MONGODB_BINARY) {
+  config.mongodb.ephemeral.binary = process.env.MONGODB_BINARY;
+}
+
+// a named connection to a second database
+config.mongodb.connections.secondary = {
+  name: 'bedrock_mongodb_test_secondary',
+  host: config.mongodb.host,
+  port: config.mongodb.port,
+  protocol: config.mongodb.protocol,
+  username: config.mongodb.username,
+  password: config.mongodb.password
+};
+
+// sign pagination cursors
+config.mongodb.pagination.cursorSecret = 'test-cursor-secret';
+
+// collect connection pool stats
+config.mongodb.instrumentation.poolStats = true;
 
 //config.mongodb.connectOptions.loggerLevel = 'debug';
 config.mongodb.dropCollections.onInit = true;